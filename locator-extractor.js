@@ -7,18 +7,25 @@
  * - CDP advanced metadata (optional via --useCDP)
  * - Iframe / shadow host injection
  * - Popup / new-tab handling
+ * - Watch mode for lazy loading, infinite scroll and SPA route changes (--watch)
  * - Smart tag/attribute filtering ([attr], .class, #id, tag)
  * - Proxy support with credentials (env or CLI)
  * - Atomic writes, deduplication, visible/hidden summary
+ * - Offline ranked locator synthesis (Playwright, Selenium, Cypress, Robot)
  * - Graceful shutdown and SIGINT handling
+ * - Embeddable API (createExtractor) — the CLI only runs when this file is executed directly
  *
  * Usage examples:
  *  node locator-extractor.js https://example.com --framework=selenium --autoExtract --useCDP
  */
 
-import { chromium } from "playwright";
+import { chromium, request } from "playwright";
 import fs from "fs";
 import path from "path";
+import zlib from "zlib";
+import { fileURLToPath, pathToFileURL } from "url";
+import crypto from "crypto";
+import { EventEmitter } from "events";
 
 // =========================
 // Utility helpers
@@ -56,6 +63,7 @@ function deduplicate(arr = []) {
   return arr.filter((item) => {
     const key = [
       item.pageUrl || "",
+      item.frameUrl || "",
       item.tag || "",
       item.id || "",
       item.name || "",
@@ -68,6 +76,16 @@ function deduplicate(arr = []) {
   });
 }
 
+// Page identity for grouping: origin + path (query string and hash ignored)
+function pageKey(url) {
+  try {
+    const u = new URL(url);
+    return u.origin + u.pathname;
+  } catch {
+    return url || "";
+  }
+}
+
 function isValidUrl(url) {
   try {
     const parsed = new URL(url);
@@ -124,27 +142,182 @@ function getProxySettingsFrom(options = {}) {
 }
 
 // =========================
-// CDP advanced metadata helper (ported from dashboard v2)
+// CDP advanced metadata collector (one document per frame, batched lookups)
 // =========================
-async function getAdvancedMetadata(page, client, selector) {
-  if (!selector || typeof selector !== "string" || selector.length === 0) return null;
-  try {
-    const { root } = await client.send("DOM.getDocument", { depth: -1 });
-    const { nodeId } = await client.send("DOM.querySelector", { nodeId: root.nodeId, selector });
-    if (!nodeId) return null;
+const CDP_CONCURRENCY = 8;
 
-    const { computedStyle } = await client.send("CSS.getComputedStyleForNode", { nodeId }).catch(() => ({ computedStyle: [] }));
-    const styles = {};
-    if (Array.isArray(computedStyle)) for (const s of computedStyle) styles[s.name] = s.value;
+// Runs on the element (callFunctionOn): hit-test at the center point and stacking context facts
+const OCCLUSION_FN = `function() {
+  const describe = (el) => el.tagName.toLowerCase() + (el.id ? "#" + el.id : "") +
+    Array.from(el.classList || []).slice(0, 2).map((c) => "." + c).join("");
+  const style = getComputedStyle(this);
+  const createsContext = (style.position !== "static" && style.zIndex !== "auto") || style.position === "fixed" ||
+    style.position === "sticky" || Number(style.opacity) < 1 || style.transform !== "none" || style.filter !== "none" ||
+    style.isolation === "isolate" || style.mixBlendMode !== "normal" || /layout|paint|strict|content/.test(style.contain);
+  const stacking = { position: style.position, zIndex: style.zIndex, createsContext };
+  const r = this.getBoundingClientRect();
+  const x = r.left + r.width / 2;
+  const y = r.top + r.height / 2;
+  if (!(r.width > 0 && r.height > 0 && x >= 0 && y >= 0 && x < innerWidth && y < innerHeight)) {
+    return { stacking, occlusion: { inViewport: false, covered: null, coveredBy: null } };
+  }
+  let top = document.elementFromPoint(x, y);
+  while (top && top.shadowRoot) {
+    const inner = top.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === top) break;
+    top = inner;
+  }
+  const covered = !!top && top !== this && !this.contains(top) && !(this.shadowRoot && this.shadowRoot.contains(top));
+  return { stacking, occlusion: { inViewport: true, covered, coveredBy: covered ? describe(top) : null } };
+}`;
+
+async function enableCdpDomains(client) {
+  await client.send("DOM.enable");
+  await client.send("CSS.enable");
+  await client.send("Runtime.enable");
+}
+
+// Border quad -> { x, y, width, height }
+function quadBox(quad) {
+  if (!Array.isArray(quad) || quad.length < 8) return null;
+  const xs = [quad[0], quad[2], quad[4], quad[6]];
+  const ys = [quad[1], quad[3], quad[5], quad[7]];
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Open a metadata collector for one tab. Elements are resolved through the in-page ref registry
+ * (css selector against the cached document as fallback) and style, accessibility, listeners, box
+ * model and occlusion are fetched per element with bounded concurrency. Same-process frames are
+ * reached through their execution context, out-of-process iframes through their own session.
+ */
+async function openCdpCollector(context, page) {
+  const client = await context.newCDPSession(page);
+  const sessions = [client];
+  const contexts = new Map();    // CDP frame id -> default (main world) execution context id
+  const documents = new Map();   // session -> Promise<root nodeId>, dropped on DOM.documentUpdated
+  const scopes = new WeakMap();  // Playwright frame -> Promise<{ client, frameId } | null>
+  let batch = 0;                 // remote objects are released per collect() call
+
+  const track = (c) => {
+    c.on("Runtime.executionContextCreated", ({ context: ctx }) => {
+      if (ctx.auxData?.isDefault && ctx.auxData.frameId) contexts.set(ctx.auxData.frameId, ctx.id);
+    });
+    c.on("Runtime.executionContextDestroyed", ({ executionContextId }) => {
+      for (const [frameId, id] of contexts) if (id === executionContextId) contexts.delete(frameId);
+    });
+    c.on("DOM.documentUpdated", () => documents.delete(c));
+  };
+  track(client);
+  await enableCdpDomains(client);
+
+  const documentRoot = (c) => {
+    if (!documents.has(c)) documents.set(c, c.send("DOM.getDocument", { depth: 0 }).then(({ root }) => root.nodeId));
+    return documents.get(c);
+  };
+
+  // DOM position of a CDP frame's <iframe>/<frame> element among the frame elements of its document
+  async function ownerDomIndex(frameId) {
+    const { backendNodeId } = await client.send("DOM.getFrameOwner", { frameId });
+    const { object } = await client.send("DOM.resolveNode", { backendNodeId });
+    try {
+      const { result } = await client.send("Runtime.callFunctionOn", {
+        objectId: object.objectId,
+        functionDeclaration: "function() { return [...this.ownerDocument.querySelectorAll('iframe, frame')].indexOf(this); }",
+        returnByValue: true,
+      });
+      return result.value;
+    } finally {
+      await client.send("Runtime.releaseObject", { objectId: object.objectId }).catch(() => { });
+    }
+  }
+
+  // Playwright frame -> CDP frame id: walk down from the main frame matching name + url; frames
+  // without a unique match are told apart by the DOM position of their frame element
+  async function cdpFrameId(frame) {
+    const chain = [];
+    for (let f = frame; f.parentFrame(); f = f.parentFrame()) chain.unshift(f);
+    let { frameTree: node } = await client.send("Page.getFrameTree");
+    for (const f of chain) {
+      const kids = node.childFrames || [];
+      const matches = kids.filter(k => k.frame.url === f.url() && (k.frame.name || "") === f.name());
+      if (matches.length === 1) {
+        node = matches[0];
+        continue;
+      }
+      const { index } = await frameElementInfo(f);
+      node = null;
+      if (index == null) return null;
+      for (const k of matches.length ? matches : kids) {
+        if (await ownerDomIndex(k.frame.id).catch(() => null) === index) {
+          node = k;
+          break;
+        }
+      }
+      if (!node) return null;
+    }
+    return node.frame.id;
+  }
+
+  async function openScope(frame) {
+    if (frame === page.mainFrame()) return { client, frameId: null };
+    try {
+      // only out-of-process iframes get their own session; Playwright throws for the others
+      const own = await context.newCDPSession(frame);
+      sessions.push(own);
+      track(own);
+      await enableCdpDomains(own);
+      return { client: own, frameId: null };
+    } catch { }
+    const frameId = await cdpFrameId(frame).catch(() => null);
+    return frameId ? { client, frameId } : null;
+  }
+
+  const scopeFor = (frame) => {
+    if (!scopes.has(frame)) scopes.set(frame, openScope(frame));
+    return scopes.get(frame);
+  };
 
-    const { nodes } = await client.send("Accessibility.getPartialAXTree", { nodeId }).catch(() => ({ nodes: [] }));
-    const accNode = Array.isArray(nodes) && nodes.length > 0 ? nodes[0] : {};
-    const ariaRole = accNode.role?.value || null;
-    const ariaName = accNode.name?.value || null;
+  async function resolveObject(scope, entry, objectGroup) {
+    const c = scope.client;
+    const contextId = scope.frameId ? contexts.get(scope.frameId) : undefined;
+    if (scope.frameId && !contextId) return null;
+    if (Number.isInteger(entry.ref)) {
+      const { result } = await c.send("Runtime.evaluate", { expression: `window.__locatorRefs && window.__locatorRefs[${entry.ref}]`, contextId, objectGroup });
+      if (result?.objectId) return result.objectId;
+    }
+    // selector fallback only where the session's document is the frame's document
+    if (scope.frameId || !entry.css) return null;
+    const { nodeId } = await c.send("DOM.querySelector", { nodeId: await documentRoot(c), selector: entry.css });
+    if (!nodeId) return null;
+    const { object } = await c.send("DOM.resolveNode", { nodeId, objectGroup });
+    return object?.objectId || null;
+  }
 
-    const { listeners } = await client.send("DOMDebugger.getEventListeners", { objectId: nodeId }).catch(() => ({ listeners: [] }));
+  async function describe(scope, entry, objectGroup) {
+    const c = scope.client;
+    const objectId = await resolveObject(scope, entry, objectGroup);
+    if (!objectId) return null;
+    await documentRoot(c);
+    const [{ node }, { nodeId }] = await Promise.all([
+      c.send("DOM.describeNode", { objectId }),
+      c.send("DOM.requestNode", { objectId }),
+    ]);
+    const backendNodeId = node.backendNodeId;
+    const [styleRes, axRes, listenerRes, boxRes, hitRes] = await Promise.all([
+      c.send("CSS.getComputedStyleForNode", { nodeId }).catch(() => ({ computedStyle: [] })),
+      c.send("Accessibility.getPartialAXTree", { backendNodeId, fetchRelatives: false }).catch(() => ({ nodes: [] })),
+      c.send("DOMDebugger.getEventListeners", { objectId }).catch(() => ({ listeners: [] })),
+      c.send("DOM.getBoxModel", { backendNodeId }).catch(() => null),
+      c.send("Runtime.callFunctionOn", { objectId, functionDeclaration: OCCLUSION_FN, returnByValue: true }).catch(() => null),
+    ]);
 
-    // bounding box can be obtained from page.evaluate separately if needed
+    const styles = {};
+    for (const s of styleRes.computedStyle || []) styles[s.name] = s.value;
+    const accNode = axRes.nodes?.[0] || {};
+    const hit = hitRes?.result?.value || {};
     return {
       zIndex: styles["z-index"] || null,
       opacity: styles["opacity"] || null,
@@ -155,19 +328,53 @@ async function getAdvancedMetadata(page, client, selector) {
       backgroundColor: styles["background-color"] || null,
       color: styles["color"] || null,
       font: styles["font-family"] || null,
-      ariaRole,
-      ariaName,
-      listeners: listeners?.map(l => l.type) || [],
+      ariaRole: accNode.role?.value || null,
+      ariaName: accNode.name?.value || null,
+      listeners: [...new Set((listenerRes.listeners || []).map(l => l.type))],
+      backendNodeId,
+      boundingBox: quadBox(boxRes?.model?.border),
+      stacking: hit.stacking || null,
+      occlusion: hit.occlusion || null,
     };
-  } catch (err) {
-    return { error: err.message };
   }
+
+  return {
+    client,
+    // Attach entry.advanced to every entry of the frame that can be resolved
+    async collect(frame, entries) {
+      const scope = await scopeFor(frame);
+      if (!scope) return;
+      const objectGroup = `locator-extractor-${++batch}`;
+      await runPool(entries, CDP_CONCURRENCY, async (entry) => {
+        try {
+          const meta = await describe(scope, entry, objectGroup);
+          if (meta) entry.advanced = meta;
+        } catch (err) {
+          entry.advanced = { error: err.message };
+        }
+      });
+      await scope.client.send("Runtime.releaseObjectGroup", { objectGroup }).catch(() => { });
+    },
+    async detach() {
+      for (const c of sessions) await c.detach().catch(() => { });
+    },
+  };
 }
 
 // =========================
 // Prompt builder (copied/compatible with dashboard v2)
 // =========================
 function buildPrompt(payload, framework = "playwright", promptType = "locator", automationFramework = "", customExample = "") {
+  const prompt = basePrompt(payload, framework, promptType, automationFramework, customExample);
+  const switchTo = payload.frameSwitch;
+  if (!switchTo) return prompt;
+  const code = automationFramework !== "custom" && switchTo[framework];
+  return code
+    ? `${prompt}\n\nThe element is inside an iframe (see frameChain). Scope or switch to it first with:\n${code}`
+    : `${prompt}\n\nThe element is inside an iframe (see frameChain); include the frame switching your framework needs.`;
+}
+
+function basePrompt(payload, framework, promptType, automationFramework, customExample) {
   const json = JSON.stringify(payload, null, 2);
 
   // Custom framework
@@ -354,645 +561,4440 @@ Return only the code.`;
 }
 
 // =========================
-// Capture script (injected into pages)
-// (dashboard-grade script: serializes attributes, css path, xpath, shadow chain, visible flag)
+// LLM resolution (OpenAI-compatible chat completions)
 // =========================
-const CAPTURE_SCRIPT = `
-(function(){
-  if (window.__locator_installed) return;
-  window.__locator_installed = true;
+const LLM_SYSTEM_PROMPT = "You are a senior test automation engineer. Reply with code only.";
 
-  function serializeAttributes(el){
-    const attrs = {};
-    if(!el || !el.getAttribute) return attrs;
-    for (const a of el.attributes) attrs[a.name] = a.value;
-    return attrs;
+// Accept a full chat-completions URL or an API base such as http://llm.corp.local:8000/v1
+function llmEndpoint(url) {
+  let u;
+  try { u = new URL(String(url || "")); } catch { throw new Error(`Invalid --llmUrl: ${url}`); }
+  // the path is extended inside the URL, so query strings such as ?api-version=... stay at the end
+  const pathname = u.pathname.replace(/\/+$/, "");
+  if (!/\/chat\/completions$/.test(pathname)) u.pathname = `${pathname}/chat/completions`;
+  return u.toString();
+}
+
+// First fenced code block of a reply; unfenced replies are kept as-is
+function extractCode(text) {
+  const fenced = /```[\w+-]*\r?\n([\s\S]*?)```/.exec(text || "");
+  return (fenced ? fenced[1] : text || "").trim();
+}
+
+// Spread request starts evenly so at most perMinute start per minute (0 = unlimited)
+function createRateLimiter(perMinute) {
+  const interval = perMinute > 0 ? 60000 / perMinute : 0;
+  let nextAt = 0;
+  return async () => {
+    if (!interval) return;
+    const now = Date.now();
+    const at = Math.max(now, nextAt);
+    nextAt = at + interval;
+    if (at > now) await new Promise(r => setTimeout(r, at - now));
+  };
+}
+
+async function llmComplete(api, prompt, { endpoint, model, apiKey, timeout }) {
+  const res = await api.post(endpoint, {
+    headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+    data: { model, temperature: 0, messages: [{ role: "system", content: LLM_SYSTEM_PROMPT }, { role: "user", content: prompt }] },
+    timeout,
+  });
+  if (!res.ok()) {
+    const err = new Error(`${res.status()} ${res.statusText()} ${(await res.text().catch(() => "")).slice(0, 200)}`.trim());
+    err.status = res.status();
+    err.retryAfter = parseFloat(res.headers()["retry-after"]) || 0;
+    throw err;
   }
+  const body = await res.json();
+  const content = body?.choices?.[0]?.message?.content;
+  if (typeof content !== "string") throw new Error("Response has no choices[0].message.content");
+  return content;
+}
 
-  function cssPath(el){
-    if(!(el instanceof Element)) return '';
-    const path = [];
-    while (el && el.nodeType === 1) {
-      let sel = el.nodeName.toLowerCase();
-      if (el.id) { sel += '#' + el.id; path.unshift(sel); break; }
-      let sib = el, nth = 1;
-      while (sib = sib.previousElementSibling)
-        if (sib.nodeName.toLowerCase() === sel) nth++;
-      if (nth !== 1) sel += ':nth-of-type(' + nth + ')';
-      path.unshift(sel);
-      el = el.parentNode;
-    }
-    return path.join(' > ');
+/**
+ * Send every entry's prompt to the configured endpoint (through the proxy) and store the
+ * returned code on entry.llm; failures land in entry.llm.error. Returns { ok, failed }.
+ */
+async function resolveWithLlm(entries, promptFor, options = {}) {
+  const {
+    llmUrl,
+    llmModel = "gpt-4o-mini",
+    llmKeyEnv = "LLM_API_KEY",
+    llmConcurrency = 2,
+    llmRateLimit = 0,
+    llmTimeout = 60000,
+  } = options;
+  if (!llmUrl) throw new Error("--llm requires --llmUrl (OpenAI-compatible endpoint)");
+  const llmRetries = Number.isFinite(options.llmRetries) ? options.llmRetries : 2;
+
+  const cfg = { endpoint: llmEndpoint(llmUrl), model: llmModel, apiKey: process.env[llmKeyEnv] || "", timeout: llmTimeout };
+  if (!cfg.apiKey) log("WARN", `${llmKeyEnv} is not set — calling ${cfg.endpoint} without an API key.`);
+  const proxy = getProxySettingsFrom(options);
+  const api = await request.newContext({ ignoreHTTPSErrors: true, ...(proxy ? { proxy } : {}) });
+  const throttle = createRateLimiter(llmRateLimit);
+  const counts = { ok: 0, failed: 0 };
+
+  log("INFO", `🤖 Resolving ${entries.length} prompt(s) via ${cfg.endpoint} (model=${cfg.model}, concurrency=${llmConcurrency}${llmRateLimit ? `, ${llmRateLimit}/min` : ""})`);
+  try {
+    await runPool(entries, llmConcurrency, async (entry, index) => {
+      const prompt = promptFor(entry);
+      for (let attempt = 1; ; attempt++) {
+        await throttle();
+        try {
+          const reply = await llmComplete(api, prompt, cfg);
+          entry.llm = { model: cfg.model, code: extractCode(reply), resolvedAt: new Date().toISOString() };
+          counts.ok++;
+          return;
+        } catch (e) {
+          // client errors other than 429 will not improve on retry
+          const retryable = !e.status || e.status === 429 || e.status >= 500;
+          if (!retryable || attempt > llmRetries) {
+            entry.llm = { model: cfg.model, error: e.message.split("\n")[0] };
+            counts.failed++;
+            log("WARN", `LLM request failed for entry ${index + 1} <${entry.tag}>: ${entry.llm.error}`);
+            return;
+          }
+          await new Promise(r => setTimeout(r, e.retryAfter ? e.retryAfter * 1000 : 1000 * 2 ** (attempt - 1)));
+        }
+      }
+    });
+  } finally {
+    await api.dispose();
   }
+  return counts;
+}
 
-  function absoluteXPath(el){
-    if(!(el instanceof Element)) return '';
-    const comps = [];
-    for (; el && el.nodeType === 1; el = el.parentNode) {
-      let idx = 1;
-      for (let sib = el.previousSibling; sib; sib = sib.previousSibling)
-        if (sib.nodeType === 1 && sib.tagName === el.tagName) idx++;
-      comps.unshift(el.tagName.toLowerCase() + "[" + idx + "]");
-    }
-    return "/" + comps.join("/");
+// =========================
+// Locator synthesis (offline, framework-native, ranked)
+// =========================
+const TEST_ID_ATTRIBUTES = ["data-testid", "data-test-id", "data-test", "data-qa", "data-cy", "data-automation-id"];
+const TEXT_NAMED_ROLES = ["button", "link", "heading", "tab", "menuitem", "option", "checkbox", "radio"];
+
+function jsString(str) {
+  return `'${String(str).replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n")}'`;
+}
+
+function javaString(str) {
+  return `"${String(str).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function cssAttr(name, value) {
+  return `[${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"]`;
+}
+
+function xpathLiteral(str) {
+  const s = String(str);
+  if (!s.includes("'")) return `'${s}'`;
+  if (!s.includes('"')) return `"${s}"`;
+  return `concat('${s.split("'").join(`', "'", '`)}')`;
+}
+
+function cssIdSelector(id) {
+  return /^[A-Za-z_][\w-]*$/.test(id) ? `#${id}` : cssAttr("id", id);
+}
+
+// Implicit ARIA role for common tags (subset of html-aam, enough for getByRole)
+function implicitRole(entry) {
+  if (entry.role) return entry.role.split(/\s+/)[0];
+  const tag = entry.tag || "";
+  const attrs = entry.attributes || {};
+  const type = (attrs.type || entry.type || "").toLowerCase();
+  if (tag === "button") return "button";
+  if (tag === "a" && (attrs.href != null || entry.href)) return "link";
+  if (/^h[1-6]$/.test(tag)) return "heading";
+  if (tag === "select") return attrs.multiple != null ? "listbox" : "combobox";
+  if (tag === "textarea") return "textbox";
+  if (tag === "option") return "option";
+  if (tag === "input") {
+    if (["button", "submit", "reset", "image"].includes(type)) return "button";
+    if (type === "checkbox") return "checkbox";
+    if (type === "radio") return "radio";
+    if (type === "range") return "slider";
+    if (type === "search") return "searchbox";
+    if (["", "text", "email", "tel", "url", "password"].includes(type)) return "textbox";
   }
+  return null;
+}
 
-  function getShadowHostChain(el) {
-    const hosts = [];
-    let node = el;
-    while (node) {
-      const root = node.getRootNode && node.getRootNode();
-      if (root && root.host) {
-        hosts.unshift(root.host.tagName.toLowerCase());
-        node = root.host;
-      } else break;
+function accessibleName(entry, role) {
+  if (entry.ariaLabel) return { name: entry.ariaLabel.trim(), source: "aria-label" };
+  const text = (entry.text || "").trim();
+  const isFormField = ["input", "textarea", "select"].includes(entry.tag);
+  if (!isFormField && TEXT_NAMED_ROLES.includes(role) && text && text.length <= 80 && !text.includes("\n")) {
+    return { name: text, source: "text" };
+  }
+  if (entry.tag === "input" && role === "button" && entry.attributes?.value) {
+    return { name: entry.attributes.value, source: "value" };
+  }
+  return null;
+}
+
+// Piercing forms for an element inside open shadow roots; hosts are css selectors, outermost first
+function shadowChains(hosts, selector) {
+  return {
+    playwright: `page${[...hosts, selector].map(h => `.locator(${jsString(h)})`).join("")}`,
+    selenium: `driver${hosts.map(h => `.findElement(By.cssSelector(${javaString(h)})).getShadowRoot()`).join("")}.findElement(By.cssSelector(${javaString(selector)}))`,
+    cypress: `cy.get(${jsString(hosts[0])})${hosts.slice(1).map(h => `.shadow().find(${jsString(h)})`).join("")}.shadow().find(${jsString(selector)})`,
+    robot: `dom:document${hosts.map(h => `.querySelector(${JSON.stringify(h)}).shadowRoot`).join("")}.querySelector(${JSON.stringify(selector)})`,
+  };
+}
+
+function cssCandidate(strategy, selector, hosts = null) {
+  return {
+    strategy,
+    kind: "css",
+    selector,
+    playwright: `page.locator(${jsString(selector)})`,
+    selenium: `By.cssSelector(${javaString(selector)})`,
+    cypress: `cy.get(${jsString(selector)})`,
+    robot: `css=${selector}`,
+    ...(hosts?.length ? shadowChains(hosts, selector) : {}),
+  };
+}
+
+// XPath cannot cross shadow boundaries: inside a shadow root only Playwright's getBy* forms survive
+function xpathCandidate(strategy, selector, hosts = null) {
+  if (hosts?.length) return { strategy, kind: "xpath", selector, playwright: null, selenium: null, cypress: null, robot: null };
+  return {
+    strategy,
+    kind: "xpath",
+    selector,
+    playwright: `page.locator(${jsString(`xpath=${selector}`)})`,
+    selenium: `By.xpath(${javaString(selector)})`,
+    cypress: `cy.xpath(${jsString(selector)})`, // requires cypress-xpath
+    robot: `xpath=${selector}`,
+  };
+}
+
+// Frame-switching code per framework for an element inside (nested) iframes, outermost first
+function frameSwitch(frameChain) {
+  if (!frameChain?.length) return null;
+  const frames = frameChain.map(f => ({ selector: f.selector || null, index: f.index ?? 0 }));
+  const cyBody = ".its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)";
+  return {
+    playwright: `page${frames.map(f => `.frameLocator(${jsString(f.selector || `iframe, frame >> nth=${f.index}`)})`).join("")}`,
+    selenium: ["driver.switchTo().defaultContent();", ...frames.map(f => f.selector
+      ? `driver.switchTo().frame(driver.findElement(By.cssSelector(${javaString(f.selector)})));`
+      : `driver.switchTo().frame(${f.index});`)].join("\n"),
+    // cross-origin frames additionally need chromeWebSecurity: false
+    cypress: frames.map((f, i) => `${i === 0 ? "cy.get" : ".find"}(${f.selector ? jsString(f.selector) : `'iframe, frame').eq(${f.index}`})${cyBody}`).join(""),
+    robot: ["Unselect Frame", ...frames.map(f => `Select Frame    ${f.selector ? `css=${f.selector}` : `xpath=(//iframe|//frame)[${f.index + 1}]`}`)].join("\n"),
+  };
+}
+
+// Scope Playwright/Cypress candidate strings to the element's frame; Selenium/Robot switch separately
+function frameScoped(candidate, switchTo) {
+  if (!switchTo) return candidate;
+  const scoped = { ...candidate };
+  if (scoped.playwright) scoped.playwright = scoped.playwright.replace(/^page\./, `${switchTo.playwright}.`);
+  if (scoped.cypress) scoped.cypress = scoped.cypress.replace(/^cy\.(get|contains|xpath)\(/, (m, fn) => `${switchTo.cypress}.${fn === "get" ? "find" : fn}(`);
+  return scoped;
+}
+
+/**
+ * Build a ranked list of framework-native locator candidates for a captured payload.
+ * Most stable strategies first: test ids, id, role + name, name, label-like attributes, text,
+ * then the raw captured css/xpath as last resort.
+ */
+function generateLocators(entry = {}) {
+  const out = [];
+  const attrs = entry.attributes || {};
+  const tag = entry.tag || "*";
+  // inside open shadow roots: css is chained through the hosts, Selenium/Robot shortcuts do not apply
+  const hosts = entry.shadowHosts?.length ? entry.shadowHosts : null;
+  const css = (strategy, selector) => cssCandidate(strategy, selector, hosts);
+  const xpath = (strategy, selector) => xpathCandidate(strategy, selector, hosts);
+  const contains = (text) => `cy.contains(${jsString(tag)}, ${jsString(text)}${hosts ? ", { includeShadowDom: true }" : ""})`;
+
+  // 1. test id attributes
+  for (const attr of TEST_ID_ATTRIBUTES) {
+    const value = attrs[attr];
+    if (!value) continue;
+    const c = css("testId", cssAttr(attr, value));
+    if (attr === "data-testid") c.playwright = `page.getByTestId(${jsString(value)})`;
+    out.push(c);
+  }
+
+  // 2. id
+  if (entry.id) {
+    const c = css("id", cssIdSelector(entry.id));
+    if (!hosts) {
+      c.selenium = `By.id(${javaString(entry.id)})`;
+      c.robot = `id=${entry.id}`;
     }
-    return hosts.join(" > ") || null;
+    out.push(c);
   }
 
-  function serializeElement(el){
-    if(!el) return null;
-    try {
-      const rect = el.getBoundingClientRect();
-      const attrs = {};
-      for(const a of el.attributes) attrs[a.name] = a.value;
-      return {
-        tag: el.tagName ? el.tagName.toLowerCase() : null,
-        id: el.id || null,
-        name: el.getAttribute && el.getAttribute('name') || null,
-        class: el.className || null,
-        text: (el.innerText || el.value || "").trim().slice(0, 300),
-        role: el.getAttribute && el.getAttribute('role') || null,
-        ariaLabel: el.getAttribute && el.getAttribute('aria-label') || null,
-        attributes: attrs,
-        dataset: Object.assign({}, el.dataset),
-        css: cssPath(el),
-        xpath: absoluteXPath(el),
-        shadowHostChain: getShadowHostChain(el),
-        visible: !(window.getComputedStyle(el).display === 'none' || window.getComputedStyle(el).visibility === 'hidden' || window.getComputedStyle(el).opacity === '0' || rect.width === 0 || rect.height === 0),
-        x: rect.x,
-        y: rect.y,
-        width: rect.width,
-        height: rect.height,
-        crossOrigin: window !== window.top
-      };
-    } catch(e){
-      return null;
+  // 3. role + accessible name
+  const role = implicitRole(entry);
+  const accName = role ? accessibleName(entry, role) : null;
+  if (role && accName) {
+    const equivalent = accName.source === "text"
+      ? xpath("role", `//${tag}[normalize-space(.)=${xpathLiteral(accName.name)}]`)
+      : css("role", `${tag}${cssAttr(accName.source, accName.name)}`);
+    out.push({
+      ...equivalent,
+      kind: "role",
+      selector: role,
+      name: accName.name,
+      playwright: `page.getByRole(${jsString(role)}, { name: ${jsString(accName.name)}, exact: true })`,
+      cypress: accName.source === "text" ? contains(accName.name) : equivalent.cypress,
+    });
+  }
+
+  // 4. name attribute
+  if (entry.name) {
+    const c = css("name", `${tag}${cssAttr("name", entry.name)}`);
+    if (!hosts) {
+      c.selenium = `By.name(${javaString(entry.name)})`;
+      c.robot = `name=${entry.name}`;
     }
+    out.push(c);
   }
 
-  document.addEventListener('click', function(e){
+  // 5. label-like attributes
+  if (attrs.placeholder) {
+    const c = css("placeholder", `${tag}${cssAttr("placeholder", attrs.placeholder)}`);
+    c.playwright = `page.getByPlaceholder(${jsString(attrs.placeholder)}, { exact: true })`;
+    out.push(c);
+  }
+  if (entry.ariaLabel && accName?.source !== "aria-label") {
+    const c = css("ariaLabel", `${tag}${cssAttr("aria-label", entry.ariaLabel)}`);
+    c.playwright = `page.getByLabel(${jsString(entry.ariaLabel)}, { exact: true })`;
+    out.push(c);
+  }
+  if (attrs.title) out.push(css("title", `${tag}${cssAttr("title", attrs.title)}`));
+  if (tag === "img" && attrs.alt) {
+    const c = css("alt", `img${cssAttr("alt", attrs.alt)}`);
+    c.playwright = `page.getByAltText(${jsString(attrs.alt)}, { exact: true })`;
+    out.push(c);
+  }
+  if (tag === "a" && attrs.href && !/^javascript:/i.test(attrs.href) && attrs.href !== "#") {
+    out.push(css("href", `a${cssAttr("href", attrs.href)}`));
+  }
+
+  // 6. visible text (short, single line, not already used as accessible name)
+  const text = (entry.text || "").trim();
+  const isFormField = ["input", "textarea", "select"].includes(entry.tag);
+  if (text && !isFormField && text.length <= 80 && !text.includes("\n") && accName?.source !== "text") {
+    out.push({
+      ...xpath("text", `//${tag}[normalize-space(.)=${xpathLiteral(text)}]`),
+      kind: "text",
+      selector: text,
+      playwright: `page.getByText(${jsString(text)}, { exact: true })`,
+      cypress: contains(text),
+    });
+  }
+
+  // 7. raw captured selectors (css is relative to the innermost shadow root; xpath cannot pierce it)
+  if (entry.css) out.push(css("css", entry.css));
+  if (entry.xpath && !hosts) out.push(xpath("xpath", entry.xpath));
+
+  const switchTo = frameSwitch(entry.frameChain);
+  return out.map((c, i) => ({ rank: i + 1, ...frameScoped(c, switchTo) }));
+}
+
+// =========================
+// Live selector verification (match count + captured-element check)
+// =========================
+const VALIDATION_ORDER = { unique: 0, unverified: 1, ambiguous: 2, broken: 3 };
+
+function candidateLocator(frame, candidate, includeHidden = false, hosts = null) {
+  if (candidate.kind === "role") return frame.getByRole(candidate.selector, { name: candidate.name, exact: true, includeHidden });
+  if (candidate.kind === "text") return frame.getByText(candidate.selector, { exact: true });
+  if (candidate.kind === "xpath") return frame.locator(`xpath=${candidate.selector}`);
+  // Playwright css pierces open shadow roots; scoping through the hosts mirrors the generated chains
+  if (hosts?.length) return [...hosts.slice(1), candidate.selector].reduce((loc, sel) => loc.locator(sel), frame.locator(hosts[0]));
+  return frame.locator(candidate.selector);
+}
+
+function candidateStatus(matches, matchesCaptured) {
+  if (matchesCaptured === false || matches === 0) return "broken";
+  return matches === 1 ? "unique" : "ambiguous";
+}
+
+/**
+ * Run every candidate against the live frame and record how many elements it matches and
+ * whether the captured element (resolved through the in-page ref registry) is among them.
+ */
+async function verifyCandidates(frame, entry, ref) {
+  const candidates = entry.candidates || [];
+  if (!frame || frame.isDetached()) {
+    for (const c of candidates) c.status = "unverified";
+    return;
+  }
+
+  let target = null;
+  try {
+    if (ref != null) target = await frame.evaluateHandle((i) => (window.__locatorRefs && window.__locatorRefs[i]) || null, ref);
+  } catch { /* registry unavailable — counts only */ }
+
+  for (const c of candidates) {
     try {
-      if (!(e.ctrlKey || e.metaKey)) return;
-      e.preventDefault();
-      e.stopPropagation();
-      const el = e.target;
-      if (!el) return;
-      if (!window.__highlightedElements) window.__highlightedElements = new WeakSet();
-      if (window.__highlightedElements.has(el)) {
-        el.style.outline = '';
-        el.style.boxShadow = '';
-        window.__highlightedElements.delete(el);
-      } else {
-        el.style.outline = '2px solid #1e90ff';
-        el.style.boxShadow = '0 0 6px 2px rgba(30,144,255,0.5)';
-        window.__highlightedElements.add(el);
-      }
-      const payload = serializeElement(el);
-      console.log('ELEMENT_CAPTURED:' + JSON.stringify(payload));
-    } catch (err) {
-      console.error('capture error', err);
+      const res = await candidateLocator(frame, c, entry.visible === false, entry.shadowHosts).evaluateAll(
+        (els, el) => ({ count: els.length, index: el ? els.indexOf(el) : null }),
+        target
+      );
+      c.matches = res.count;
+      c.matchesCaptured = res.index === null ? null : res.index >= 0;
+      c.status = candidateStatus(c.matches, c.matchesCaptured);
+    } catch (e) {
+      c.matches = 0;
+      c.matchesCaptured = false;
+      c.status = "broken";
+      c.error = e.message.split("\n")[0];
     }
-  }, true);
+  }
+  if (target) await target.dispose().catch(() => { });
+}
 
-  // Public full-scan for auto extract
-  window.__locatorScanAll = function(tagFilterCsv) {
-    const allowed = tagFilterCsv && typeof tagFilterCsv === 'string'
-      ? tagFilterCsv.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
-      : null;
+// =========================
+// Stability scoring (0-100) with brittleness diagnostics
+// =========================
+const STRATEGY_BASE_SCORE = {
+  testId: 95, id: 85, role: 80, name: 75, placeholder: 70, ariaLabel: 70, alt: 70,
+  title: 60, href: 55, text: 50, css: 45, xpath: 30,
+};
+const GENERATED_PREFIX = /^(ember\d|ext-(gen|comp)|yui_|gwt-uid-|mui-\d|react-select-\d|headlessui-|radix-|:r[0-9a-z]+:|cdk-|mat-[a-z-]+-\d)/i;
+const UTILITY_CLASS = /^(?:[a-z]+:)*-?(?:[mp][trblxyse]?-\S+|[wh]-\S+|(?:min|max)-[wh]-\S+|text-\S+|bg-\S+|flex\S*|grid\S*|gap-\S+|items-\S+|justify-\S+|content-\S+|self-\S+|rounded\S*|shadow\S*|border\S*|font-\S+|leading-\S+|tracking-\S+|col(?:-(?:xs|sm|md|lg|xl|xxl))?-\d+|d-\S+|float-\S+|order-\S+|opacity-\S+|z-\S+|hidden|block|inline\S*|relative|absolute|fixed|sticky|truncate|uppercase|lowercase|italic)$/;
+const HASHED_CLASS = /(__[A-Za-z0-9_-]{5,}$|^css-[a-z0-9]{5,}|^sc-[A-Za-z]{5,}$|^jsx-\d+$|^ng-tns-|^svelte-[a-z0-9]{5,}$|^_[A-Za-z0-9]{5,}$)/;
 
-    function elementMatchesFilter(el, filters) {
-      if (!filters || !filters.length) return true;
-      try {
-        return filters.some(f => {
-          if (f.startsWith(".")) return el.classList.contains(f.slice(1));
-          if (f.startsWith("#")) return el.id === f.slice(1);
-          if (f.startsWith("[") && f.endsWith("]")) {
-            const inside = f.slice(1, -1);
-            const [attr, val] = inside.split("=");
-            if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
-            return el.hasAttribute(attr);
-          }
-          return el.tagName.toLowerCase() === f.toLowerCase();
-        });
-      } catch (e) { return false; }
+// ids / values produced by frameworks or build tools rather than by developers
+function looksGenerated(value) {
+  if (!value) return false;
+  const v = String(value);
+  if (GENERATED_PREFIX.test(v)) return true;
+  if (/[0-9a-f]{8}-[0-9a-f]{4}-/i.test(v)) return true;
+  return v.split(/[-_:.]/).some(part =>
+    /^\d{4,}$/.test(part) ||
+    (part.length >= 5 && (part.match(/\d/g) || []).length >= 2 && /[a-z]/i.test(part) && !/^[a-z]+\d{1,2}$/i.test(part))
+  );
+}
+
+function scoreCandidate(candidate, entry) {
+  let score = STRATEGY_BASE_SCORE[candidate.strategy] ?? 40;
+  const reasons = [];
+  const sel = candidate.selector || "";
+
+  if (["testId", "id"].includes(candidate.strategy)) {
+    const value = candidate.strategy === "id" ? entry.id : sel.replace(/^\[[^=]+="|"\]$/g, "");
+    if (looksGenerated(value)) {
+      score -= candidate.strategy === "id" ? 45 : 30;
+      reasons.push(`${candidate.strategy} "${value}" looks generated/hashed`);
+    }
+  }
+  if (candidate.strategy === "css") {
+    const nth = (sel.match(/:nth-(of-type|child)\(/g) || []).length;
+    const depth = sel.split(">").length;
+    if (nth) {
+      score -= Math.min(30, nth * 8);
+      reasons.push(`css path uses ${nth} nth-of-type step(s)`);
+    }
+    if (depth > 4) {
+      score -= Math.min(20, (depth - 4) * 2);
+      reasons.push(`css path is ${depth} levels deep`);
+    }
+    const ids = (sel.match(/#[\w-]+/g) || []).map(id => id.slice(1));
+    if (ids.some(looksGenerated)) {
+      score -= 25;
+      reasons.push("css path is anchored on a generated-looking id");
+    }
+    if (/^[a-z][a-z0-9-]*$/i.test(sel.trim())) {
+      score -= 25;
+      reasons.push(`bare tag selector "${sel}"`);
+    }
+    if ((sel.match(/\.[\w-]+/g) || []).some(c => UTILITY_CLASS.test(c.slice(1)) || HASHED_CLASS.test(c.slice(1)))) {
+      score -= 20;
+      reasons.push("css uses utility or hashed classes");
     }
+  }
+  if (candidate.strategy === "xpath" && sel.startsWith("/")) {
+    const indices = (sel.match(/\[(\d+)\]/g) || []).filter(i => i !== "[1]").length;
+    score -= Math.min(20, indices * 4);
+    reasons.push(`absolute XPath${indices ? ` with ${indices} positional index(es)` : ""}`);
+  }
+  if (candidate.strategy === "text") {
+    reasons.push("text-only locator (breaks on copy or i18n changes)");
+    if (sel.length > 40) score -= 10;
+  }
+  if (candidate.strategy === "role" && /normalize-space/.test(candidate.selenium || "")) {
+    score -= 10;
+    reasons.push("accessible name comes from visible text");
+  }
+  if (candidate.strategy === "href" && /[?#]/.test(sel)) {
+    score -= 15;
+    reasons.push("href contains query/fragment");
+  }
 
-    function serialize(el) {
-      try {
-        const rect = el.getBoundingClientRect();
-        const attrs = {};
-        for (const a of el.attributes) attrs[a.name] = a.value;
+  if (candidate.status === "ambiguous") {
+    score -= 30;
+    reasons.push(`matches ${candidate.matches} elements`);
+  } else if (candidate.status === "broken") {
+    score = 0;
+    reasons.push("does not resolve to the captured element");
+  } else if (candidate.status === "unverified") {
+    score -= 5;
+    reasons.push("not verified against the live page");
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+// Entry-level diagnostics that do not depend on the chosen locator
+function entryDiagnostics(entry) {
+  const reasons = [];
+  const classes = typeof entry.class === "string" ? entry.class.split(/\s+/).filter(Boolean) : [];
+  const utility = classes.filter(c => UTILITY_CLASS.test(c));
+  const hashed = classes.filter(c => HASHED_CLASS.test(c) || looksGenerated(c));
+  if (utility.length && utility.length >= classes.length / 2) reasons.push(`class list is mostly utility classes (${utility.slice(0, 3).join(" ")}…) — avoid class selectors`);
+  if (hashed.length) reasons.push(`generated/hashed classes: ${hashed.slice(0, 3).join(" ")}`);
+  const ngAttrs = Object.keys(entry.attributes || {}).filter(a => /^_ng(content|host)-/.test(a));
+  if (ngAttrs.length) reasons.push(`Angular view-encapsulation attributes (${ngAttrs[0]}) are regenerated per build`);
+  if (entry.id && looksGenerated(entry.id)) reasons.push(`id "${entry.id}" looks generated/hashed`);
+  return reasons;
+}
+
+function stabilityBucket(score) {
+  if (score >= 80) return "80-100";
+  if (score >= 60) return "60-79";
+  if (score >= 40) return "40-59";
+  if (score >= 20) return "20-39";
+  return "0-19";
+}
+
+/**
+ * Generate candidates, verify them while the captured element is still live, score them and
+ * re-rank: uniquely matching candidates first, then by stability score.
+ */
+async function annotateEntry(frame, entry) {
+  const ref = entry.ref;
+  delete entry.ref;
+  const candidates = entry.candidates = generateLocators(entry);
+  const switchTo = frameSwitch(entry.frameChain);
+  if (switchTo) entry.frameSwitch = switchTo;
+  await verifyCandidates(frame, entry, ref);
+
+  for (const c of candidates) {
+    const { score, reasons } = scoreCandidate(c, entry);
+    c.score = score;
+    if (reasons.length) c.reasons = reasons;
+  }
+  candidates.sort((a, b) => VALIDATION_ORDER[a.status] - VALIDATION_ORDER[b.status] || b.score - a.score || a.rank - b.rank);
+  candidates.forEach((c, i) => (c.rank = i + 1));
+
+  const statusOf = (strategy) => candidates.find(c => c.strategy === strategy)?.status || null;
+  const best = candidates[0];
+  entry.validation = {
+    status: best?.status || "broken",
+    css: statusOf("css"),
+    xpath: statusOf("xpath"),
+    checkedAt: new Date().toISOString(),
+  };
+  entry.stability = {
+    score: best ? best.score : 0,
+    locator: best ? best.strategy : null,
+    reasons: [...new Set([...(best?.reasons || []), ...entryDiagnostics(entry)])],
+  };
+  return entry;
+}
+
+// =========================
+// Page Object Model generation (per page URL, per framework)
+// =========================
+const POM_FRAMEWORKS = ["selenium", "playwright", "cypress", "robot"];
+const FIELD_SUFFIX = { button: "Button", a: "Link", select: "Select", textarea: "Textarea", img: "Image", form: "Form", table: "Table" };
+const INPUT_SUFFIX = { checkbox: "Checkbox", radio: "Radio", submit: "Button", button: "Button", file: "Upload" };
+const JAVA_KEYWORDS = [
+  "abstract", "assert", "boolean", "break", "byte", "case", "catch", "char", "class", "const", "continue", "default",
+  "do", "double", "else", "enum", "extends", "false", "final", "finally", "float", "for", "goto", "if", "implements",
+  "import", "instanceof", "int", "interface", "long", "native", "new", "null", "package", "private", "protected",
+  "public", "record", "return", "short", "static", "strictfp", "super", "switch", "synchronized", "this", "throw",
+  "throws", "transient", "true", "try", "var", "void", "volatile", "while", "yield",
+];
+
+function identifierWords(str) {
+  return String(str || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, 5);
+}
+
+function toPascal(words) {
+  return words.map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join("");
+}
+
+function toCamel(words) {
+  const pascal = toPascal(words);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function resolvePageObjectFrameworks(pageObjects, framework) {
+  if (!pageObjects) return [];
+  if (pageObjects === true) return POM_FRAMEWORKS.includes(framework) ? [framework] : [];
+  const list = Array.isArray(pageObjects) ? pageObjects : String(pageObjects).split(",");
+  const wanted = list.map(s => s.trim().toLowerCase()).filter(Boolean);
+  return wanted.includes("all") ? POM_FRAMEWORKS : POM_FRAMEWORKS.filter(f => wanted.includes(f));
+}
+
+// "https://shop.example.com/account/login.html" -> "AccountLoginPage"
+function pageObjectName(pageUrl) {
+  let segments = [];
+  try {
+    segments = new URL(pageUrl).pathname.split("/").filter(Boolean)
+      .map(seg => decodeURIComponent(seg).replace(/\.[a-z0-9]+$/i, ""))
+      .filter(seg => !/^\d+$/.test(seg) && !looksGenerated(seg));
+  } catch { /* fall through to HomePage */ }
+  let base = toPascal(segments.flatMap(identifierWords)) || "Home";
+  // class names cannot start with a digit: "/3d-models" -> "Page3dModelsPage"
+  if (/^\d/.test(base)) base = `Page${base}`;
+  return /Page$/.test(base) ? base : `${base}Page`;
+}
+
+// Field name from label, text or attributes plus a type suffix: "Email" + input -> emailInput
+function fieldWords(entry) {
+  const attrs = entry.attributes || {};
+  const testId = TEST_ID_ATTRIBUTES.map(a => attrs[a]).find(Boolean);
+  const text = (entry.text || "").trim();
+  const source = [
+    entry.label,
+    entry.ariaLabel,
+    !["input", "textarea", "select"].includes(entry.tag) && text.length <= 40 ? text : null,
+    attrs.placeholder,
+    entry.name,
+    testId,
+    entry.id && !looksGenerated(entry.id) ? entry.id : null,
+    attrs.title,
+    attrs.alt,
+    entry.tag === "input" ? attrs.value : null,
+  ].find(v => v && identifierWords(v).length);
+  const words = identifierWords(source || entry.tag || "element");
+  const type = (attrs.type || "").toLowerCase();
+  const suffix = entry.tag === "input" ? (INPUT_SUFFIX[type] || "Input") : FIELD_SUFFIX[entry.tag];
+  if (suffix && words[words.length - 1]?.toLowerCase() !== suffix.toLowerCase()) words.push(suffix);
+  if (/^\d/.test(words[0])) words.unshift(entry.tag || "el");
+  return words;
+}
+
+function pickPomCandidate(entry, framework) {
+  // shadow-DOM entries have no form of xpath-based candidates for some frameworks
+  const available = (entry.candidates || []).filter(c => c[framework]);
+  const usable = available.filter(c => c.status !== "broken");
+  const pool = usable.length ? usable : available;
+  // cy.xpath needs a plugin; prefer any non-xpath candidate for Cypress
+  if (framework === "cypress") return pool.find(c => !/(^cy|\))\.xpath\(/.test(c.cypress)) || pool[0];
+  return pool[0];
+}
+
+// Selenium candidates are rendered as By.<how>("...") — split them back for @FindBy
+function parseSeleniumBy(expr) {
+  const m = /^By\.(id|name|cssSelector|xpath)\((".*")\)$/.exec(expr || "");
+  if (!m) return null;
+  return { how: m[1] === "cssSelector" ? "css" : m[1], value: JSON.parse(m[2]) };
+}
+
+function robotValue(str) {
+  return String(str)
+    .replace(/\\/g, "\\\\")
+    .replace(/([$@&%]\{)/g, "\\$1")
+    .replace(/#/g, "\\#")
+    .replace(/ {2,}/g, (m) => " " + "${SPACE}".repeat(m.length - 1));
+}
+
+function pomFieldComment(field, prefix) {
+  const score = field.entry.stability?.score;
+  if (score == null || score >= 50) return "";
+  const reasons = (field.entry.stability.reasons || []).slice(0, 2).join("; ");
+  return `${prefix} stability ${score}${reasons ? ` — ${reasons}` : ""}\n`;
+}
+
+// Selenium/Robot locators do not carry the frame; note where to switch before using the field
+function pomFrameComment(field, prefix) {
+  const chain = field.entry.frameChain;
+  if (!chain?.length) return "";
+  return `${prefix} inside iframe ${chain.map(f => f.selector || `#${f.index}`).join(" > ")}: switch frames first\n`;
+}
+
+const POM_RENDERERS = {
+  selenium: {
+    file: (cls) => `${cls}.java`,
+    reserved: new Set([...JAVA_KEYWORDS, "driver"]),
+    render(cls, pageUrl, fields, { javaPackage }) {
+      const body = fields.map(f => {
+        // @FindBy cannot cross shadow roots: those fields become getShadowRoot() chain getters
+        if (/^driver\./.test(f.candidate?.selenium || "")) {
+          return `${pomFieldComment(f, "    //")}${pomFrameComment(f, "    //")}    public WebElement ${f.name}() {\n        return ${f.candidate.selenium};\n    }\n`;
+        }
+        // no Selenium candidate: fall back to the raw XPath/CSS path, or leave the field out
+        const by = parseSeleniumBy(f.candidate?.selenium)
+          || (f.entry.xpath ? { how: "xpath", value: f.entry.xpath } : f.entry.css ? { how: "css", value: f.entry.css } : null);
+        if (!by) return null;
+        return `${pomFieldComment(f, "    //")}${pomFrameComment(f, "    //")}    @FindBy(${by.how} = ${javaString(by.value)})\n    public WebElement ${f.name};\n`;
+      }).filter(Boolean).join("\n");
+      const byImport = fields.some(f => /^driver\./.test(f.candidate?.selenium || "")) ? "import org.openqa.selenium.By;\n" : "";
+      return `${javaPackage ? `package ${javaPackage};\n\n` : ""}${byImport}import org.openqa.selenium.WebDriver;
+import org.openqa.selenium.WebElement;
+import org.openqa.selenium.support.FindBy;
+import org.openqa.selenium.support.PageFactory;
+
+/**
+ * Page object for ${pageUrl}
+ * Generated by locator-extractor.
+ */
+public class ${cls} {
+    public static final String URL = ${javaString(pageUrl)};
+
+    private final WebDriver driver;
+
+${body}
+    public ${cls}(WebDriver driver) {
+        this.driver = driver;
+        PageFactory.initElements(driver, this);
+    }
+}
+`;
+    },
+  },
+  playwright: {
+    file: (cls) => `${cls}.ts`,
+    reserved: new Set(["page", "goto", "constructor"]),
+    render(cls, pageUrl, fields) {
+      const body = fields.map(f => {
+        const expr = (f.candidate?.playwright || `page.locator(${jsString(f.entry.css || f.entry.tag)})`).replace(/^page\./, "this.page.");
+        return `${pomFieldComment(f, "  //")}  get ${f.name}(): Locator {\n    return ${expr};\n  }\n`;
+      }).join("\n");
+      return `import { type Locator, type Page } from '@playwright/test';
+
+/**
+ * Page object for ${pageUrl}
+ * Generated by locator-extractor.
+ */
+export class ${cls} {
+  static readonly url = ${jsString(pageUrl)};
+
+  constructor(readonly page: Page) { }
+
+  async goto(): Promise<void> {
+    await this.page.goto(${cls}.url);
+  }
+
+${body}}
+`;
+    },
+  },
+  cypress: {
+    file: (cls) => `${cls}.js`,
+    reserved: new Set(["url", "visit"]),
+    render(cls, pageUrl, fields) {
+      const body = fields.map(f => {
+        const expr = f.candidate?.cypress || `cy.get(${jsString(f.entry.css || f.entry.tag)})`;
+        return `${pomFieldComment(f, "  //")}  ${f.name}: () => ${expr},\n`;
+      }).join("");
+      return `// Page object for ${pageUrl}
+// Generated by locator-extractor.
+
+export const ${cls} = {
+  url: ${jsString(pageUrl)},
+  visit: () => cy.visit(${jsString(pageUrl)}),
+${body}};
+
+export default ${cls};
+`;
+    },
+  },
+  robot: {
+    file: (cls) => `${identifierWords(cls).join("_").toLowerCase()}.resource`,
+    render(cls, pageUrl, fields) {
+      const prefix = identifierWords(cls).join("_").toUpperCase();
+      const rows = [[`\${${prefix}_URL}`, robotValue(pageUrl)], ...fields.map(f => [
+        `\${${identifierWords(f.name).join("_").toUpperCase()}}`,
+        robotValue(f.candidate?.robot || (f.entry.xpath ? `xpath=${f.entry.xpath}` : f.entry.css || "")),
+        [pomFieldComment(f, "#").trim(), pomFrameComment(f, "#").trim()].filter(Boolean).join("    "),
+      ])];
+      const width = Math.max(...rows.map(r => r[0].length)) + 4;
+      return `*** Settings ***
+Documentation    Locators for ${robotValue(pageUrl)} (generated by locator-extractor)
+
+*** Variables ***
+${rows.map(([k, v, c]) => `${k.padEnd(width)}${v}${c ? `    ${c}` : ""}`).join("\n")}
+`;
+    },
+  },
+};
+
+/**
+ * Render one page object per page URL (origin + path) for each requested framework.
+ * Returns the list of written files.
+ */
+function writePageObjects(entries, frameworks, dir, { javaPackage = "pages" } = {}) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = pageKey(entry.pageUrl);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const written = [];
+  const classNames = new Set();
+  for (const [pageUrl, pageEntries] of groups) {
+    let cls = pageObjectName(pageUrl);
+    for (let i = 2; classNames.has(cls); i++) cls = `${pageObjectName(pageUrl).replace(/Page$/, "")}${i}Page`;
+    classNames.add(cls);
+
+    for (const framework of frameworks) {
+      const renderer = POM_RENDERERS[framework];
+      const used = new Set();
+      const fields = pageEntries.map(entry => {
+        // keywords and the page object's own members ("class", "page", "goto", ...) get a suffix
+        let base = toCamel(fieldWords(entry));
+        if (renderer.reserved?.has(base)) base = `${base}Element`;
+        let name = base;
+        for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+        used.add(name);
+        return { name, entry, candidate: pickPomCandidate(entry, framework) };
+      });
+      const target = path.join(dir, framework, renderer.file(cls));
+      ensureDir(path.dirname(target));
+      atomicWrite(target, renderer.render(cls, pageUrl, fields, { javaPackage }));
+      written.push(target);
+    }
+  }
+  return written;
+}
+
+// =========================
+// Run statistics + self-contained HTML report
+// =========================
+// Counts shared by the console summary and the HTML report
+function extractionStats(entries) {
+  const stats = {
+    total: entries.length,
+    visible: 0,
+    hidden: 0,
+    validation: { unique: 0, ambiguous: 0, broken: 0, unverified: 0 },
+    rawSelectorIssues: 0,
+    histogram: { "80-100": 0, "60-79": 0, "40-59": 0, "20-39": 0, "0-19": 0 },
+    pages: [],
+  };
+  const pages = new Map();
+  for (const el of entries) {
+    stats[el.visible ? "visible" : "hidden"]++;
+    stats.validation[el.validation?.status || "unverified"]++;
+    if (["ambiguous", "broken"].includes(el.validation?.css) || ["ambiguous", "broken"].includes(el.validation?.xpath)) stats.rawSelectorIssues++;
+    stats.histogram[stabilityBucket(el.stability?.score ?? 0)]++;
+    const key = pageKey(el.pageUrl);
+    if (!pages.has(key)) pages.set(key, { url: key, total: 0, visible: 0, hidden: 0 });
+    const page = pages.get(key);
+    page.total++;
+    page[el.visible ? "visible" : "hidden"]++;
+  }
+  stats.pages = [...pages.values()];
+  return stats;
+}
+
+function htmlEscape(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const REPORT_FRAMEWORKS = ["playwright", "selenium", "cypress", "robot"];
+
+const REPORT_STYLE = `
+body{font:14px/1.4 system-ui,-apple-system,"Segoe UI",sans-serif;margin:0;color:#1f2328;background:#f6f8fa}
+header{background:#24292f;color:#fff;padding:16px 24px}header h1{margin:0 0 4px;font-size:20px}header p{margin:0;color:#c9d1d9}
+main{padding:16px 24px}.cards{display:flex;flex-wrap:wrap;gap:12px;margin-bottom:16px}
+.card{background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:10px 14px;min-width:120px}.card b{display:block;font-size:22px}
+table{border-collapse:collapse;width:100%;background:#fff;border:1px solid #d0d7de}th,td{border-bottom:1px solid #d0d7de;padding:6px 8px;text-align:left;vertical-align:top}
+th{background:#f6f8fa;position:sticky;top:0}code{font:12px ui-monospace,Consolas,monospace;word-break:break-all}
+.filters{display:flex;flex-wrap:wrap;gap:8px;margin:16px 0 8px;align-items:center}.filters input{flex:1;min-width:240px;padding:6px}
+.thumb{max-width:160px;max-height:80px;border:1px solid #d0d7de}.muted{color:#57606a}
+.badge{display:inline-block;padding:0 6px;border-radius:10px;font-size:12px;background:#eaeef2}
+.unique{background:#dafbe1}.ambiguous{background:#fff8c5}.broken{background:#ffebe9}
+button.copy{margin:0 4px 4px 0;font-size:12px;cursor:pointer}pre{max-width:360px;overflow:auto;font-size:11px}
+`;
+
+const REPORT_SCRIPT = `
+(function(){
+  const rows = Array.from(document.querySelectorAll('#entries tbody tr'));
+  const q = document.getElementById('q'), vis = document.getElementById('vis'), pg = document.getElementById('pg'), st = document.getElementById('st');
+  const shown = document.getElementById('shown');
+  function apply(){
+    const term = q.value.trim().toLowerCase();
+    let n = 0;
+    for (const r of rows) {
+      const ok = (!term || r.dataset.search.includes(term))
+        && (!vis.value || r.dataset.visible === vis.value)
+        && (!pg.value || r.dataset.page === pg.value)
+        && (!st.value || r.dataset.status === st.value);
+      r.style.display = ok ? '' : 'none';
+      if (ok) n++;
+    }
+    shown.textContent = n + ' of ' + rows.length + ' shown';
+  }
+  [q, vis, pg, st].forEach(el => el.addEventListener('input', apply));
+  document.addEventListener('click', function(e){
+    const btn = e.target.closest('button.copy');
+    if (!btn) return;
+    const text = btn.dataset.copy;
+    const done = () => { const label = btn.textContent; btn.textContent = 'Copied'; setTimeout(() => btn.textContent = label, 1000); };
+    const fallback = () => {
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      ta.remove();
+      done();
+    };
+    if (navigator.clipboard) navigator.clipboard.writeText(text).then(done, fallback); else fallback();
+  });
+  apply();
+})();
+`;
+
+// Inline a screenshot (path relative to baseDir) as a data URI so the report stays a single file
+function inlineImage(baseDir, rel) {
+  if (!rel) return null;
+  try {
+    return `data:image/png;base64,${fs.readFileSync(path.join(baseDir, rel)).toString("base64")}`;
+  } catch {
+    return null;
+  }
+}
+
+function reportRow(entry, index, baseDir) {
+  const best = entry.candidates?.[0];
+  const status = entry.validation?.status || "unverified";
+  const thumb = inlineImage(baseDir, entry.screenshot?.element);
+  const copies = REPORT_FRAMEWORKS
+    .map(fw => best?.[fw] ? `<button class="copy" data-copy="${htmlEscape(best[fw])}" title="${htmlEscape(best[fw])}">${fw}</button>` : "")
+    .join("");
+  const search = [entry.tag, entry.id, entry.name, entry.text, entry.css, entry.xpath, best?.selector, entry.pageUrl].filter(Boolean).join(" ").toLowerCase();
+  return `<tr data-search="${htmlEscape(search)}" data-visible="${entry.visible ? "visible" : "hidden"}" data-page="${htmlEscape(pageKey(entry.pageUrl))}" data-status="${status}">
+<td>${index + 1}${entry.screenshot?.marker != null ? `<div class="muted">marker ${entry.screenshot.marker}</div>` : ""}</td>
+<td>${thumb ? `<img class="thumb" src="${thumb}" alt="">` : `<span class="muted">—</span>`}${entry.screenshot?.page ? `<div><a href="${htmlEscape(entry.screenshot.page)}">page</a></div>` : ""}</td>
+<td><code>&lt;${htmlEscape(entry.tag)}&gt;</code>${entry.id ? `<div><code>#${htmlEscape(entry.id)}</code></div>` : ""}</td>
+<td>${htmlEscape((entry.text || "").slice(0, 120))}</td>
+<td>${best ? `<div><span class="badge">${htmlEscape(best.strategy)}</span> <code>${htmlEscape(best.selector)}</code></div>` : ""}<div class="muted">css: <code>${htmlEscape(entry.css || "—")}</code></div><div class="muted">xpath: <code>${htmlEscape(entry.xpath || "—")}</code></div></td>
+<td>${entry.visible ? "visible" : "hidden"}</td>
+<td><span class="badge ${status}">${status}</span><div class="muted">stability ${entry.stability?.score ?? "—"}</div></td>
+<td>${copies}</td>
+<td>${entry.advanced ? `<details><summary>CDP</summary><pre>${htmlEscape(JSON.stringify(entry.advanced, null, 2))}</pre></details>` : ""}</td>
+<td><a href="${htmlEscape(entry.pageUrl)}" class="muted">${htmlEscape(pageKey(entry.pageUrl))}</a></td>
+</tr>`;
+}
+
+/**
+ * Single-file HTML report: summary cards, per-page counts and a filterable element table.
+ * Screenshot paths on the entries are resolved against baseDir and inlined.
+ */
+function renderHtmlReport(entries, { title = "Locator extraction report", framework = "", generatedAt = new Date().toISOString(), baseDir = "." } = {}) {
+  const stats = extractionStats(entries);
+  const card = (label, value) => `<div class="card"><b>${value}</b>${htmlEscape(label)}</div>`;
+  const options = (values) => values.map(v => `<option value="${htmlEscape(v)}">${htmlEscape(v)}</option>`).join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${htmlEscape(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<header><h1>${htmlEscape(title)}</h1><p>${htmlEscape(generatedAt)}${framework ? ` · framework: ${htmlEscape(framework)}` : ""}</p></header>
+<main>
+<section class="cards">
+${card("Elements", stats.total)}${card("Visible", stats.visible)}${card("Hidden", stats.hidden)}${card("Pages", stats.pages.length)}
+${Object.entries(stats.validation).map(([k, v]) => card(`Selector ${k}`, v)).join("")}
+${Object.entries(stats.histogram).map(([k, v]) => card(`Stability ${k}`, v)).join("")}
+</section>
+<table>
+<thead><tr><th>Page</th><th>Elements</th><th>Visible</th><th>Hidden</th></tr></thead>
+<tbody>${stats.pages.map(p => `<tr><td><a href="${htmlEscape(p.url)}">${htmlEscape(p.url)}</a></td><td>${p.total}</td><td>${p.visible}</td><td>${p.hidden}</td></tr>`).join("")}</tbody>
+</table>
+<div class="filters">
+<input id="q" type="search" placeholder="Search tag, text, id, selector…">
+<select id="vis"><option value="">Visible + hidden</option>${options(["visible", "hidden"])}</select>
+<select id="pg"><option value="">All pages</option>${options(stats.pages.map(p => p.url))}</select>
+<select id="st"><option value="">Any selector check</option>${options(Object.keys(stats.validation))}</select>
+<span id="shown" class="muted"></span>
+</div>
+<table id="entries">
+<thead><tr><th>#</th><th>Screenshot</th><th>Element</th><th>Text</th><th>Selectors</th><th>Visibility</th><th>Check</th><th>Copy locator</th><th>Advanced</th><th>Page</th></tr></thead>
+<tbody>
+${entries.map((entry, i) => reportRow(entry, i, baseDir)).join("\n")}
+</tbody>
+</table>
+</main>
+<script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// =========================
+// Spreadsheet export (CSV + XLSX, no extra dependencies)
+// =========================
+const EXPORT_FORMATS = ["json", "csv", "xlsx"];
+const LEADING_COLUMNS = ["pageUrl", "tag", "id", "name", "text", "visible", "css", "xpath"];
+
+// "csv,xlsx" -> ["json", "csv", "xlsx"]; JSON is always written
+function resolveFormats(format) {
+  const requested = String(format || "json").split(",").map(f => f.trim().toLowerCase()).filter(Boolean);
+  for (const f of requested) if (!EXPORT_FORMATS.includes(f)) log("WARN", `Unknown --format "${f}" ignored (use ${EXPORT_FORMATS.join(",")})`);
+  return EXPORT_FORMATS.filter(f => f === "json" || requested.includes(f));
+}
+
+// One flat row per entry: nested objects become dotted columns, arrays are joined, candidates collapse to the best one
+function flattenEntry(entry) {
+  const row = {};
+  const walk = (value, key) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [k, v] of Object.entries(value)) walk(v, key ? `${key}.${k}` : k);
+    } else if (Array.isArray(value)) {
+      row[key] = value.map(v => (v && typeof v === "object" ? JSON.stringify(v) : v)).join("; ");
+    } else {
+      row[key] = value;
+    }
+  };
+  const { candidates, ...rest } = entry;
+  walk(rest, "");
+  const best = candidates?.[0];
+  if (best) {
+    row["locator.strategy"] = best.strategy;
+    row["locator.selector"] = best.selector;
+    for (const fw of POM_FRAMEWORKS) row[`locator.${fw}`] = best[fw];
+  }
+  return row;
+}
+
+function exportColumns(rows) {
+  const columns = new Set(LEADING_COLUMNS);
+  for (const row of rows) for (const key of Object.keys(row)) columns.add(key);
+  return [...columns];
+}
+
+// Spreadsheet apps run CSV text starting with = + - @ (or a tab/CR before one) as a formula; a leading
+// ' keeps it text (XLSX inline strings are never evaluated, so they are written as they are)
+function neutralizeFormula(value) {
+  const str = String(value);
+  return /^[=+\-@\t\r]/.test(str) ? `'${str}` : str;
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const str = typeof value === "number" ? String(value) : neutralizeFormula(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(flattenEntry);
+  const columns = exportColumns(rows);
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP writer (deflate, no zip64) — enough for an OOXML package
+function buildZip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const fileName = Buffer.from(name, "utf8");
+    const crc = crc32(raw);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(packed.length, 18);
+    header.writeUInt32LE(raw.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    locals.push(header, fileName, packed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, fileName);
+    offset += header.length + fileName.length + packed.length;
+  }
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...central, end]);
+}
+
+function xmlEscape(value) {
+  // strip characters XML 1.0 cannot carry at all
+  return String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetCell(value, ref, style = 0) {
+  const s = style ? ` s="${style}"` : "";
+  if (value == null || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+  // Excel caps a cell at 32767 characters
+  return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(String(value).slice(0, 32767))}</t></is></c>`;
+}
+
+function sheetXml(entries) {
+  const rows = entries.map(flattenEntry);
+  const columns = exportColumns(rows);
+  const lines = [`<row r="1">${columns.map((c, i) => sheetCell(c, `${columnName(i)}1`, 1)).join("")}</row>`];
+  rows.forEach((row, r) => {
+    lines.push(`<row r="${r + 2}">${columns.map((c, i) => sheetCell(row[c], `${columnName(i)}${r + 2}`)).join("")}</row>`);
+  });
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>${lines.join("")}</sheetData>
+<autoFilter ref="A1:${columnName(columns.length - 1)}${rows.length + 1}"/>
+</worksheet>`;
+}
+
+// Sheet names: at most 31 chars, no []:*?/\, unique case-insensitively
+function sheetName(pageUrl, used) {
+  let base = "page";
+  try { const u = new URL(pageUrl); base = `${u.host}${u.pathname === "/" ? "" : u.pathname}`; } catch { }
+  base = base.replace(/[[\]:*?/\\]+/g, "_").replace(/^'+|'+$/g, "").slice(0, 31) || "page";
+  let name = base;
+  for (let i = 2; used.has(name.toLowerCase()); i++) name = `${base.slice(0, 31 - String(i).length - 1)}~${i}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+// Workbook with one sheet per page URL (origin + path)
+function toXlsx(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = pageKey(entry.pageUrl);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  if (!groups.size) groups.set("", []);
+
+  const used = new Set();
+  const sheets = [...groups].map(([url, list], i) => ({ id: i + 1, name: sheetName(url, used), list }));
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map(sh => `<Override PartName="/xl/worksheets/sheet${sh.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("\n")}
+</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheets.map(sh => `<sheet name="${xmlEscape(sh.name)}" sheetId="${sh.id}" r:id="rId${sh.id}"/>`).join("")}</sheets>
+</workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map(sh => `<Relationship Id="rId${sh.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sh.id}.xml"/>`).join("\n")}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`,
+    },
+    ...sheets.map(sh => ({ name: `xl/worksheets/sheet${sh.id}.xml`, data: sheetXml(sh.list) })),
+  ];
+  return buildZip(files);
+}
+
+// Write the extra formats next to the JSON (basePath has no extension); returns the written files
+function writeExports(entries, formats, basePath) {
+  const written = [];
+  if (formats.includes("csv")) {
+    atomicWrite(`${basePath}.csv`, toCsv(entries));
+    written.push(`${basePath}.csv`);
+  }
+  if (formats.includes("xlsx")) {
+    atomicWrite(`${basePath}.xlsx`, toXlsx(entries));
+    written.push(`${basePath}.xlsx`);
+  }
+  return written;
+}
+
+// =========================
+// Capture script (injected into pages)
+// (dashboard-grade script: serializes attributes, css path, xpath, shadow chain, visible flag)
+// =========================
+// Page -> Node channel: a context binding that only accepts calls carrying the run's session token
+const CAPTURE_BINDING = "__locatorCapture";
+
+const CAPTURE_SCRIPT = `
+(function(){
+  if (window.__locator_installed) return;
+  window.__locator_installed = true;
+
+  // kept in this closure only, so page scripts cannot forge captures through the binding
+  const SESSION_TOKEN = __LOCATOR_SESSION_TOKEN__;
+  // the binding is taken once and removed from window. Installed as a context init script, this
+  // runs before any page script, so a wrapper the page puts there later never sees the token
+  const CAPTURE_SEND = typeof window[${JSON.stringify(CAPTURE_BINDING)}] === 'function' ? window[${JSON.stringify(CAPTURE_BINDING)}] : null;
+  try { delete window[${JSON.stringify(CAPTURE_BINDING)}]; } catch (e) {}
+
+  // Registry of captured elements so Node can resolve them again (selector verification)
+  const refs = window.__locatorRefs = window.__locatorRefs || [];
+  const refIndex = new WeakMap();
+  function registerRef(el){
+    if (refIndex.has(el)) return refIndex.get(el);
+    refs.push(el);
+    refIndex.set(el, refs.length - 1);
+    return refs.length - 1;
+  }
+  window.__locatorRegister = registerRef;
+
+  // Inline highlight properties of captured elements: their values before mark(), restored by
+  // unmark() and reported by serializeAttributes(), so saved styles never contain the highlight
+  const HIGHLIGHT_PROPERTIES = ['outline-color', 'outline-style', 'outline-width', 'box-shadow'];
+  const markedStyles = new WeakMap();
+  function restoreStyle(target, saved){
+    for (const [prop, value, priority] of saved.props) target.style.setProperty(prop, value, priority);
+    if (!saved.hadStyle && !target.getAttribute('style')) target.removeAttribute('style');
+  }
+
+  function serializeAttributes(el){
+    const attrs = {};
+    if(!el || !el.getAttribute) return attrs;
+    for (const a of el.attributes) attrs[a.name] = a.value;
+    const saved = markedStyles.get(el);
+    if (saved) {
+      // the element's own inline style, rebuilt on a detached element so the page sees no change
+      const scratch = document.createElement('div');
+      scratch.setAttribute('style', attrs.style || '');
+      restoreStyle(scratch, saved);
+      if (scratch.hasAttribute('style')) attrs.style = scratch.getAttribute('style');
+      else delete attrs.style;
+    }
+    return attrs;
+  }
+  window.__locatorAttributes = serializeAttributes;
+
+  function cssPath(el){
+    if(!(el instanceof Element)) return '';
+    const path = [];
+    while (el && el.nodeType === 1) {
+      let sel = el.nodeName.toLowerCase();
+      if (el.id) { sel += '#' + el.id; path.unshift(sel); break; }
+      let sib = el, nth = 1;
+      while (sib = sib.previousElementSibling)
+        if (sib.nodeName.toLowerCase() === sel) nth++;
+      if (nth !== 1) sel += ':nth-of-type(' + nth + ')';
+      path.unshift(sel);
+      el = el.parentNode;
+    }
+    return path.join(' > ');
+  }
+
+  function absoluteXPath(el){
+    if(!(el instanceof Element)) return '';
+    const comps = [];
+    for (; el && el.nodeType === 1; el = el.parentNode) {
+      let idx = 1;
+      for (let sib = el.previousSibling; sib; sib = sib.previousSibling)
+        if (sib.nodeType === 1 && sib.tagName === el.tagName) idx++;
+      comps.unshift(el.tagName.toLowerCase() + "[" + idx + "]");
+    }
+    return "/" + comps.join("/");
+  }
+
+  // Every element of a root, descending into open shadow roots (closed roots are unreachable)
+  function deepElements(root, out) {
+    out = out || [];
+    for (const el of root.querySelectorAll('*')) {
+      if (el.hasAttribute('data-locator-overlay')) continue;
+      out.push(el);
+      if (el.shadowRoot) deepElements(el.shadowRoot, out);
+    }
+    return out;
+  }
+  window.__locatorDeepElements = deepElements;
+
+  // Resolvable host chain: css path of each shadow host within its own root, outermost first
+  function shadowHostSelectors(el) {
+    const hosts = [];
+    let root = el.getRootNode && el.getRootNode();
+    while (root && root.host) {
+      hosts.unshift(cssPath(root.host));
+      root = root.host.getRootNode();
+    }
+    return hosts.length ? hosts : null;
+  }
+  window.__locatorShadowHosts = shadowHostSelectors;
+
+  function getShadowHostChain(el) {
+    const hosts = [];
+    let node = el;
+    while (node) {
+      const root = node.getRootNode && node.getRootNode();
+      if (root && root.host) {
+        hosts.unshift(root.host.tagName.toLowerCase());
+        node = root.host;
+      } else break;
+    }
+    return hosts.join(" > ") || null;
+  }
+
+  function serializeElement(el){
+    if(!el) return null;
+    try {
+      const rect = el.getBoundingClientRect();
+      const attrs = {};
+      for(const a of el.attributes) attrs[a.name] = a.value;
+      return {
+        tag: el.tagName ? el.tagName.toLowerCase() : null,
+        id: el.id || null,
+        name: el.getAttribute && el.getAttribute('name') || null,
+        class: el.className || null,
+        text: (el.innerText || el.value || "").trim().slice(0, 300),
+        role: el.getAttribute && el.getAttribute('role') || null,
+        ariaLabel: el.getAttribute && el.getAttribute('aria-label') || null,
+        attributes: attrs,
+        dataset: Object.assign({}, el.dataset),
+        css: cssPath(el),
+        xpath: absoluteXPath(el),
+        shadowHostChain: getShadowHostChain(el),
+        shadowHosts: shadowHostSelectors(el),
+        visible: !(window.getComputedStyle(el).display === 'none' || window.getComputedStyle(el).visibility === 'hidden' || window.getComputedStyle(el).opacity === '0' || rect.width === 0 || rect.height === 0),
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        crossOrigin: window !== window.top,
+        frameUrl: location.href,
+        frameName: window.name || null,
+        ref: registerRef(el)
+      };
+    } catch(e){
+      return null;
+    }
+  }
+
+  window.__locatorSerialize = serializeElement;
+
+  // =========================
+  // Manual capture session: hover inspector, capture panel (top frame) and ack-driven marks.
+  // Only installed when a session token is present (batch, crawl and re-validation have none).
+  // =========================
+  const OVERLAY_ATTR = 'data-locator-overlay';
+  const marked = new Map();          // capture id -> element in this frame
+  const markedIds = new WeakMap();   // element -> capture id
+  let overlay = null;
+
+  function callNode(message){
+    if (!CAPTURE_SEND) return Promise.resolve(null);
+    return Promise.resolve(CAPTURE_SEND(SESSION_TOKEN, message));
+  }
+
+  function isOverlay(e){
+    return e.composedPath().some(n => n.hasAttribute && n.hasAttribute(OVERLAY_ATTR));
+  }
+
+  function ensureOverlay(){
+    if (overlay && overlay.host.isConnected) return overlay;
+    const host = document.createElement('div');
+    host.setAttribute(OVERLAY_ATTR, '');
+    host.style.cssText = 'all:initial;position:fixed;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = [
+      '.box{position:fixed;display:none;border:2px solid #1e90ff;background:rgba(30,144,255,0.12);box-sizing:border-box;pointer-events:none;}',
+      '.tip{position:fixed;display:none;max-width:480px;padding:4px 8px;border-radius:4px;background:#1f2430;color:#fff;font:12px/1.4 ui-monospace,Menlo,Consolas,monospace;pointer-events:none;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}',
+      '.tip b{color:#7cc4ff;font-weight:600;}',
+      '.one{color:#5fd38d;} .many{color:#f5b942;} .none{color:#ff6b6b;}',
+      '.panel{position:fixed;right:16px;bottom:16px;width:340px;max-height:50vh;display:none;flex-direction:column;background:#fff;color:#1f2430;border:1px solid #c9ced6;border-radius:8px;box-shadow:0 6px 24px rgba(0,0,0,0.2);font:13px/1.4 system-ui,sans-serif;pointer-events:auto;}',
+      '.head{padding:8px 10px;font-weight:600;border-bottom:1px solid #e3e6ea;}',
+      '.list{overflow:auto;flex:1;}',
+      '.row{display:grid;grid-template-columns:22px 1fr auto;gap:6px;align-items:center;padding:6px 10px;border-bottom:1px solid #f0f1f3;}',
+      '.row input{width:100%;box-sizing:border-box;font:inherit;padding:2px 4px;border:1px solid #d6dae0;border-radius:4px;}',
+      '.loc{grid-column:2 / 4;color:#5b6472;font:11px ui-monospace,Menlo,Consolas,monospace;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}',
+      'button{font:inherit;cursor:pointer;border:1px solid #d6dae0;background:#f6f7f9;border-radius:4px;padding:0 6px;}',
+      '.foot{display:flex;justify-content:space-between;align-items:center;padding:8px 10px;}',
+      '.done{background:#1e90ff;border-color:#1e90ff;color:#fff;padding:4px 14px;}',
+      '.empty{padding:10px;color:#5b6472;}'
+    ].join('');
+    const box = document.createElement('div');
+    box.className = 'box';
+    const tip = document.createElement('div');
+    tip.className = 'tip';
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    // keep typing in the panel away from the page's own key handlers
+    for (const type of ['keydown', 'keyup', 'keypress']) panel.addEventListener(type, ev => ev.stopPropagation());
+    root.append(style, box, tip, panel);
+    document.documentElement.appendChild(host);
+    overlay = { host, box, tip, panel };
+    return overlay;
+  }
+
+  function hideHover(){
+    if (!overlay) return;
+    overlay.box.style.display = 'none';
+    overlay.tip.style.display = 'none';
+  }
+
+  function attrSelector(el, attr){
+    return el.tagName.toLowerCase() + '[' + attr + '="' + CSS.escape(el.getAttribute(attr)) + '"]';
+  }
+
+  // Quick in-page preview of the locator Node will most likely rank first, with its match count
+  function previewLocator(el){
+    let selector = null;
+    for (const attr of ${JSON.stringify(TEST_ID_ATTRIBUTES)}) {
+      if (el.getAttribute(attr)) { selector = attrSelector(el, attr); break; }
+    }
+    if (!selector && el.id) selector = '#' + CSS.escape(el.id);
+    if (!selector && el.getAttribute('name')) selector = attrSelector(el, 'name');
+    if (!selector && el.getAttribute('aria-label')) selector = attrSelector(el, 'aria-label');
+    if (!selector && el.getAttribute('placeholder')) selector = attrSelector(el, 'placeholder');
+    if (!selector) selector = cssPath(el);
+    let count = 0;
+    try { count = el.getRootNode().querySelectorAll(selector).length; } catch (e) { }
+    return { selector, count };
+  }
+
+  function showHover(el){
+    const o = ensureOverlay();
+    const rect = el.getBoundingClientRect();
+    Object.assign(o.box.style, { display: 'block', left: rect.left + 'px', top: rect.top + 'px', width: rect.width + 'px', height: rect.height + 'px' });
+    const preview = previewLocator(el);
+    o.tip.textContent = '';
+    const tag = document.createElement('b');
+    tag.textContent = '<' + el.tagName.toLowerCase() + '>';
+    const count = document.createElement('span');
+    count.className = preview.count === 1 ? 'one' : preview.count > 1 ? 'many' : 'none';
+    count.textContent = preview.count + (preview.count === 1 ? ' match' : ' matches');
+    o.tip.append(tag, ' ' + preview.selector + '  ', count);
+    o.tip.style.display = 'block';
+    const below = rect.bottom + 6;
+    o.tip.style.left = Math.max(0, Math.min(rect.left, window.innerWidth - 480)) + 'px';
+    o.tip.style.top = (below + 24 > window.innerHeight ? Math.max(0, rect.top - 30) : below) + 'px';
+  }
+
+  function mark(id, el){
+    marked.set(id, el);
+    markedIds.set(el, id);
+    if (!markedStyles.has(el)) {
+      markedStyles.set(el, {
+        hadStyle: el.hasAttribute('style'),
+        props: HIGHLIGHT_PROPERTIES.map(p => [p, el.style.getPropertyValue(p), el.style.getPropertyPriority(p)]),
+      });
+    }
+    el.style.outline = '2px solid #1e90ff';
+    el.style.boxShadow = '0 0 6px 2px rgba(30,144,255,0.5)';
+  }
+
+  function unmark(id){
+    const el = marked.get(id);
+    if (!el) return;
+    const saved = markedStyles.get(el);
+    if (saved) restoreStyle(el, saved);
+    markedStyles.delete(el);
+    marked.delete(id);
+    markedIds.delete(el);
+  }
+
+  function panelButton(text, title, onClick, className){
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = text;
+    b.title = title;
+    if (className) b.className = className;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function renderPanel(state){
+    const o = ensureOverlay();
+    const panel = o.panel;
+    panel.textContent = '';
+    if (!state.active && !state.saving) { panel.style.display = 'none'; return; }
+    panel.style.display = 'flex';
+    const head = document.createElement('div');
+    head.className = 'head';
+    head.textContent = 'Captured elements (' + state.captures.length + ')';
+    const list = document.createElement('div');
+    list.className = 'list';
+    if (!state.captures.length) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'Ctrl/Cmd+Click an element to capture it.';
+      list.append(empty);
+    }
+    state.captures.forEach((c, i) => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      const num = document.createElement('span');
+      num.textContent = String(i + 1);
+      const label = document.createElement('input');
+      label.value = c.label || '';
+      label.placeholder = c.tag + (c.text ? ' ' + c.text : '');
+      label.title = 'Rename';
+      label.disabled = !state.active;
+      label.addEventListener('change', () => callNode({ type: 'rename', id: c.id, label: label.value }));
+      const actions = document.createElement('span');
+      if (state.active) {
+        actions.append(
+          panelButton('↑', 'Move up', () => callNode({ type: 'move', id: c.id, offset: -1 })),
+          panelButton('↓', 'Move down', () => callNode({ type: 'move', id: c.id, offset: 1 })),
+          panelButton('✕', 'Remove', () => callNode({ type: 'remove', id: c.id }))
+        );
+      }
+      const loc = document.createElement('div');
+      loc.className = 'loc';
+      loc.textContent = c.locator || '';
+      loc.title = c.locator || '';
+      row.append(num, label, actions, loc);
+      list.append(row);
+    });
+    const foot = document.createElement('div');
+    foot.className = 'foot';
+    const hint = document.createElement('span');
+    hint.textContent = state.active ? 'Ctrl/Cmd+Click again to remove' : 'Saving…';
+    const done = panelButton('Done', 'Finish the session and save', () => {
+      done.disabled = true;
+      callNode({ type: 'done' });
+    }, 'done');
+    done.disabled = !state.active;
+    foot.append(hint, done);
+    panel.append(head, list, foot);
+  }
+
+  // Node pushes the session state after every change: drop marks of removed captures, redraw the panel
+  window.__locatorOverlaySync = function(state){
+    const ids = new Set(state.captures.map(c => c.id));
+    for (const id of Array.from(marked.keys())) if (!ids.has(id)) unmark(id);
+    if (window === window.top) renderPanel(state);
+  };
+
+  if (SESSION_TOKEN) {
+    document.addEventListener('mousemove', function(e){
+      if (!(e.ctrlKey || e.metaKey) || isOverlay(e)) return hideHover();
+      const el = e.composedPath()[0];
+      if (el instanceof Element) showHover(el);
+    }, true);
+    document.addEventListener('keyup', function(e){
+      if (e.key === 'Control' || e.key === 'Meta') hideHover();
+    }, true);
+    window.addEventListener('blur', hideHover);
+    window.addEventListener('scroll', hideHover, true);
+
+    document.addEventListener('click', function(e){
+      try {
+        if (!(e.ctrlKey || e.metaKey) || isOverlay(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        // e.target is retargeted to the shadow host; the composed path starts at the real element
+        const el = (e.composedPath && e.composedPath()[0]) || e.target;
+        if (!(el instanceof Element)) return;
+        // keep the inspector out of element screenshots taken while the capture is recorded
+        hideHover();
+        // a second Ctrl/Cmd+Click removes the element from the session again
+        if (markedIds.has(el)) {
+          const id = markedIds.get(el);
+          callNode({ type: 'remove', id }).then(function(ack){ if (ack && ack.ok) unmark(id); }, function(err){ console.error('capture error', err); });
+          return;
+        }
+        const payload = serializeElement(el);
+        if (!payload) return;
+        // highlight only once Node acknowledges that the capture was recorded
+        callNode({ type: 'capture', payload }).then(function(ack){
+          if (!ack || !ack.ok) {
+            if (ack && ack.error) console.warn('[locator-extractor] capture rejected: ' + ack.error);
+            return;
+          }
+          mark(ack.id, el);
+        }, function(err){ console.error('capture error', err); });
+      } catch (err) {
+        console.error('capture error', err);
+      }
+    }, true);
+  }
+
+  // Elements already returned by a scan; watch drains only report the others
+  const reported = new WeakSet();
+
+  // Public full-scan for auto extract (roots: only these subtrees, skipping reported elements)
+  window.__locatorScanAll = function(tagFilterCsv, roots) {
+    const allowed = tagFilterCsv && typeof tagFilterCsv === 'string'
+      ? tagFilterCsv.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+      : null;
+
+    function elementMatchesFilter(el, filters) {
+      if (!filters || !filters.length) return true;
+      try {
+        return filters.some(f => {
+          if (f.startsWith(".")) return el.classList.contains(f.slice(1));
+          if (f.startsWith("#")) return el.id === f.slice(1);
+          if (f.startsWith("[") && f.endsWith("]")) {
+            const inside = f.slice(1, -1);
+            const [attr, val] = inside.split("=");
+            if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
+            return el.hasAttribute(attr);
+          }
+          return el.tagName.toLowerCase() === f.toLowerCase();
+        });
+      } catch (e) { return false; }
+    }
+
+    function serialize(el) {
+      try {
+        const rect = el.getBoundingClientRect();
+        const attrs = serializeAttributes(el);
+        return {
+          tag: el.tagName.toLowerCase(),
+          id: el.id || null,
+          name: el.getAttribute && el.getAttribute('name') || null,
+          class: el.className || null,
+          type: el.getAttribute && el.getAttribute('type') || null,
+          placeholder: el.getAttribute && el.getAttribute('placeholder') || null,
+          value: el.value || null,
+          href: el.getAttribute && el.getAttribute('href') || null,
+          title: el.getAttribute && el.getAttribute('title') || null,
+          role: el.getAttribute && el.getAttribute('role') || null,
+          ariaLabel: el.getAttribute && el.getAttribute('aria-label') || null,
+          text: (el.innerText || el.value || "").trim().slice(0, 300),
+          visible: !(rect.width === 0 && rect.height === 0) && window.getComputedStyle(el).display !== 'none' && window.getComputedStyle(el).visibility !== 'hidden' && window.getComputedStyle(el).opacity !== '0',
+          css: (function(){ try { return cssPath(el); } catch { return null; } })(),
+          xpath: (function(){ try { return absoluteXPath(el); } catch { return null; } })(),
+          shadowHostChain: getShadowHostChain(el),
+          shadowHosts: shadowHostSelectors(el),
+          attributes: attrs,
+          dataset: Object.assign({}, el.dataset),
+          x: rect.x,
+          y: rect.y,
+          width: rect.width,
+          height: rect.height,
+          crossOrigin: window !== window.top,
+          ref: registerRef(el)
+        };
+      } catch (e) {
+        return null;
+      }
+    }
+
+    const results = [];
+    const seen = new Set();
+    const elements = roots ? roots.reduce(function(all, r){ return all.concat([r], deepElements(r)); }, []) : deepElements(document);
+    for (const el of elements) {
+      try {
+        if (roots && reported.has(el)) continue;
+        if (!elementMatchesFilter(el, allowed)) continue;
+        // heuristics for interactable
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        const isVisible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+        if (!isVisible) continue;
+        if (seen.has(el)) continue;
+        seen.add(el);
+        const s = serialize(el);
+        if (s) {
+          reported.add(el);
+          results.push(s);
+        }
+      } catch (e){}
+    }
+    return results;
+  };
+
+  // Watch mode: subtrees added or restyled since the last drain (the first drain covers the whole
+  // document); open shadow roots are observed once their host has been drained
+  let watchPending = null;
+  let watchObserver = null;
+  const watchedRoots = new WeakSet();
+  const WATCH_ATTRIBUTES = ['class', 'style', 'hidden', 'open', 'aria-hidden', 'aria-expanded'];
+  function watchRoot(root){
+    if (watchedRoots.has(root)) return;
+    watchedRoots.add(root);
+    watchObserver.observe(root, { childList: true, subtree: true, attributes: true, attributeFilter: WATCH_ATTRIBUTES });
+  }
+  window.__locatorWatchDrain = function(tagFilterCsv){
+    if (!watchPending) {
+      watchPending = new Set([document.documentElement]);
+      watchObserver = new MutationObserver(function(mutations){
+        for (const m of mutations) {
+          if (m.type === 'childList') m.addedNodes.forEach(function(n){ if (n.nodeType === 1) watchPending.add(n); });
+          else if (m.target.nodeType === 1) watchPending.add(m.target);
+        }
+      });
+      watchRoot(document);
+    }
+    const roots = Array.from(watchPending).filter(function(n){ return n.isConnected && !(n.closest && n.closest('[data-locator-overlay]')); });
+    watchPending.clear();
+    for (const root of roots) {
+      for (const el of [root].concat(deepElements(root))) if (el.shadowRoot) watchRoot(el.shadowRoot);
+    }
+    return window.__locatorScanAll(tagFilterCsv, roots);
+  };
+})();
+`;
+
+// Capture script bound to a session token (null: Ctrl+Click captures are not delivered)
+function captureScript(token = null) {
+  return CAPTURE_SCRIPT.replace("__LOCATOR_SESSION_TOKEN__", JSON.stringify(token));
+}
+
+// =========================
+// Inject helpers for frames and popups
+// =========================
+// Documents already loaded: evaluated directly (no <script> element, so no CSP block and nothing
+// a MutationObserver could read); the script itself skips frames that already have it
+async function injectIntoExistingFrames(page, scriptContent) {
+  for (const frame of page.frames()) {
+    try {
+      await frame.evaluate(scriptContent);
+    } catch {
+      // detached or still navigating
+    }
+  }
+}
+
+async function injectIntoAllFrames(page, scriptContent) {
+  try {
+    // add init script for future frames
+    await page.addInitScript({ content: scriptContent });
+    await injectIntoExistingFrames(page, scriptContent);
+  } catch (e) {
+    // swallow
+  }
+}
+
+// =========================
+// Capture payload validation (node-side, before anything is recorded)
+// =========================
+const MAX_CAPTURE_BYTES = 512 * 1024;
+const CAPTURE_STRING_FIELDS = ["id", "name", "class", "text", "role", "ariaLabel", "css", "xpath", "shadowHostChain", "frameUrl", "frameName"];
+const CAPTURE_NUMBER_FIELDS = ["x", "y", "width", "height"];
+const CAPTURE_BOOLEAN_FIELDS = ["visible", "crossOrigin"];
+
+function stringMap(value, field) {
+  if (value == null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) throw new Error(`${field} must be an object`);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (typeof v !== "string") throw new Error(`${field}.${k} must be a string`);
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Check a capture received from the page against the payload schema of the capture script and
+ * return a clean copy holding only known fields. Throws on anything malformed.
+ */
+function validateCapture(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("payload must be an object");
+  if (Buffer.byteLength(JSON.stringify(raw)) > MAX_CAPTURE_BYTES) throw new Error(`payload exceeds ${MAX_CAPTURE_BYTES} bytes`);
+  if (typeof raw.tag !== "string" || !/^[a-z][\w:.-]*$/.test(raw.tag)) throw new Error("tag must be a lowercase element name");
+
+  const payload = { tag: raw.tag };
+  for (const field of CAPTURE_STRING_FIELDS) {
+    const v = raw[field];
+    // className is an SVGAnimatedString object on SVG elements
+    if (field === "class" && v && typeof v === "object") payload[field] = null;
+    else if (v == null) payload[field] = null;
+    else if (typeof v !== "string") throw new Error(`${field} must be a string`);
+    else payload[field] = v;
+  }
+  for (const field of CAPTURE_NUMBER_FIELDS) {
+    if (raw[field] != null && !Number.isFinite(raw[field])) throw new Error(`${field} must be a number`);
+    payload[field] = raw[field] ?? null;
+  }
+  for (const field of CAPTURE_BOOLEAN_FIELDS) {
+    if (raw[field] != null && typeof raw[field] !== "boolean") throw new Error(`${field} must be a boolean`);
+    payload[field] = raw[field] ?? false;
+  }
+  payload.attributes = stringMap(raw.attributes, "attributes");
+  payload.dataset = stringMap(raw.dataset, "dataset");
+  if (raw.shadowHosts != null && !(Array.isArray(raw.shadowHosts) && raw.shadowHosts.every(h => typeof h === "string" && h))) {
+    throw new Error("shadowHosts must be a list of selectors");
+  }
+  payload.shadowHosts = raw.shadowHosts ?? null;
+  if (raw.ref != null && !(Number.isInteger(raw.ref) && raw.ref >= 0)) throw new Error("ref must be a non-negative integer");
+  payload.ref = raw.ref ?? null;
+  return payload;
+}
+
+// =========================
+// Sanitization (tool artifacts + sensitive data), applied before entries are written or prompted
+// =========================
+const REDACTED = "[REDACTED]";
+// query/fragment parameters whose values are masked in every recorded URL
+const SENSITIVE_PARAMS = /^(access_?token|id_?token|refresh_?token|token|auth|authorization|code|state|session(_?id)?|sid|jsessionid|api_?key|key|secret|password|passwd|pwd|sig|signature|otp)$/i;
+const SENSITIVE_AUTOCOMPLETE = ["current-password", "new-password", "one-time-code", "cc-number", "cc-csc", "cc-exp", "cc-exp-month", "cc-exp-year"];
+const SENSITIVE_FIELD = /pass(word|wd)|pwd|secret|card.?(num|no)|cc.?(num|no)|cvv|cvc|csc|security.?code|otp|one.?time|totp|mfa|2fa|verification.?code|(^|[^a-z])pin([^a-z]|$)/i;
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction"];
+const TEXT_FIELDS = ["text", "value", "ariaLabel", "placeholder", "title"];
+
+/**
+ * Compile redaction rules from config/CLI: regex strings (comma-separated on the CLI) or
+ * { pattern, flags, replacement } objects. Every rule replaces all matches.
+ */
+function redactionRules(value) {
+  if (!value) return [];
+  // a CLI string is comma-separated, so a single CLI rule cannot contain ","; config arrays can
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list
+    .map(r => (typeof r === "string" ? { pattern: r.trim() } : r instanceof RegExp ? { pattern: r } : r))
+    .filter(r => r && r.pattern)
+    .map(r => {
+      // already compiled rules (RegExp patterns) pass through with their own flags
+      const source = r.pattern instanceof RegExp ? r.pattern.source : r.pattern;
+      const flags = `g${r.pattern instanceof RegExp ? r.pattern.flags : ""}${r.flags || ""}`;
+      return { pattern: new RegExp(source, [...new Set(flags)].join("")), replacement: r.replacement ?? REDACTED };
+    });
+}
+
+function redactText(str, rules) {
+  if (typeof str !== "string" || !rules.length) return str;
+  return rules.reduce((s, r) => s.replace(r.pattern, r.replacement), str);
+}
+
+// Mask sensitive query and fragment parameters (?token=… / #access_token=…), then apply the rules
+function redactUrl(url, rules) {
+  if (typeof url !== "string") return url;
+  const masked = url.replace(/([?&#])([^=&#]+)=([^&#]*)/g, (m, sep, key, val) => {
+    let name = key;
+    try { name = decodeURIComponent(key); } catch { }
+    return SENSITIVE_PARAMS.test(name) && val ? `${sep}${key}=${REDACTED}` : m;
+  });
+  return redactText(masked, rules);
+}
+
+// Password, credit-card and one-time-code fields (by type, autocomplete token or name)
+function isSensitiveField(entry) {
+  if (!["input", "textarea", "select"].includes(entry.tag)) return false;
+  const attrs = entry.attributes || {};
+  if ((attrs.type || entry.type || "").toLowerCase() === "password") return true;
+  const autocomplete = (attrs.autocomplete || "").toLowerCase().split(/\s+/);
+  if (autocomplete.some(t => SENSITIVE_AUTOCOMPLETE.includes(t))) return true;
+  return [entry.name, entry.id, entry.ariaLabel, attrs.placeholder].some(v => v && SENSITIVE_FIELD.test(v));
+}
+
+/**
+ * Mask values of sensitive fields and apply the redaction rules to text, attributes and URLs.
+ * Mutates and returns the entry; changed fields are listed in entry.redactions.
+ */
+function sanitizeEntry(entry, rules = []) {
+  // accepts raw rules too (strings, RegExps, { pattern, flags, replacement }) for API callers
+  rules = redactionRules(rules);
+  const changed = new Set();
+  const update = (obj, key, value, label) => {
+    if (value !== obj[key]) {
+      obj[key] = value;
+      changed.add(label);
+    }
+  };
+  const attrs = entry.attributes || {};
+
+  if (isSensitiveField(entry)) {
+    for (const key of ["value", "text"]) if (entry[key]) update(entry, key, REDACTED, key);
+    if (attrs.value) update(attrs, "value", REDACTED, "attributes.value");
+  }
+
+  for (const key of ["pageUrl", "frameUrl", "href"]) if (entry[key]) update(entry, key, redactUrl(entry[key], rules), key);
+  if (entry.tab?.url) update(entry.tab, "url", redactUrl(entry.tab.url, rules), "tab.url");
+  for (const f of entry.frameChain || []) if (f.url) update(f, "url", redactUrl(f.url, rules), "frameChain.url");
+
+  for (const key of TEXT_FIELDS) if (entry[key]) update(entry, key, redactText(entry[key], rules), key);
+  for (const [k, v] of Object.entries(attrs)) {
+    update(attrs, k, URL_ATTRIBUTES.includes(k) ? redactUrl(v, rules) : redactText(v, rules), `attributes.${k}`);
+  }
+  for (const [k, v] of Object.entries(entry.dataset || {})) update(entry.dataset, k, redactText(v, rules), `dataset.${k}`);
+  if (entry.advanced?.ariaName) update(entry.advanced, "ariaName", redactText(entry.advanced.ariaName, rules), "advanced.ariaName");
+
+  if (changed.size) entry.redactions = [...new Set([...(entry.redactions || []), ...changed])];
+  return entry;
+}
+
+// =========================
+// Smart element-match helper (node-side for capture payloads)
+// =========================
+function elementMatchesFilterNode(elData, filters) {
+  if (!filters || !filters.length) return true;
+  try {
+    return filters.some(f => {
+      if (f.startsWith(".")) {
+        const cls = elData.class || '';
+        return cls.split(/\s+/).includes(f.slice(1));
+      }
+      if (f.startsWith("#")) {
+        return elData.id === f.slice(1);
+      }
+      if (f.startsWith("[") && f.endsWith("]")) {
+        const inside = f.slice(1, -1);
+        const [attr, val] = inside.split("=");
+        if (val) {
+          return elData.attributes && elData.attributes[attr] === val.replace(/['"]/g, "");
+        }
+        return elData.attributes && attr in elData.attributes;
+      }
+      return elData.tag && elData.tag.toLowerCase() === f.toLowerCase();
+    });
+  } catch (e) {
+    return false;
+  }
+}
+
+// =========================
+// Smart DOM Walker (page-level scans shared by all modes)
+// =========================
+async function walkVisibleElements(frame, tagFilter) {
+  return frame.evaluate((filtersCsv) => {
+    // reuse __locatorScanAll if available
+    try {
+      if (typeof window.__locatorScanAll === "function") return window.__locatorScanAll(filtersCsv || null);
+    } catch { }
+    // fallback: simple walker
+    const allowed = filtersCsv ? filtersCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+    function elementMatchesFilter(el, filters) {
+      if (!filters || !filters.length) return true;
+      return filters.some(f => {
+        if (f.startsWith(".")) return el.classList.contains(f.slice(1));
+        if (f.startsWith("#")) return el.id === f.slice(1);
+        if (f.startsWith("[") && f.endsWith("]")) {
+          const inside = f.slice(1, -1);
+          const [attr, val] = inside.split("=");
+          if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
+          return el.hasAttribute(attr);
+        }
+        return el.tagName.toLowerCase() === f.toLowerCase();
+      });
+    }
+    const out = [];
+    const elems = window.__locatorDeepElements ? window.__locatorDeepElements(document) : Array.from(document.querySelectorAll("*"));
+    for (const el of elems) {
+      try {
+        if (!elementMatchesFilter(el, allowed)) continue;
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        if (!(rect.width > 0 && rect.height > 0 && style.visibility !== "hidden" && style.display !== "none" && style.opacity !== "0")) continue;
+        let attrs = window.__locatorAttributes ? window.__locatorAttributes(el) : null;
+        if (!attrs) {
+          attrs = {};
+          for (const a of el.attributes) attrs[a.name] = a.value;
+        }
+        out.push({
+          tag: el.tagName.toLowerCase(),
+          id: el.id || null,
+          name: el.getAttribute && el.getAttribute('name') || null,
+          class: el.className || null,
+          text: (el.innerText || "").trim().slice(0, 300),
+          css: (function () { try { /* cheap fallback */ return el.tagName.toLowerCase(); } catch { return null; } })(),
+          xpath: null,
+          attributes: attrs,
+          dataset: Object.assign({}, el.dataset),
+          visible: true,
+          x: rect.x,
+          y: rect.y,
+          width: rect.width,
+          height: rect.height,
+          shadowHosts: window.__locatorShadowHosts ? window.__locatorShadowHosts(el) : null,
+          crossOrigin: window !== window.top,
+          ref: window.__locatorRegister ? window.__locatorRegister(el) : null
+        });
+      } catch { }
+    }
+    return out;
+  }, tagFilter ? tagFilter.join(",") : null);
+}
+
+// scanHidden: collect hidden elements too using dashboard logic
+async function walkHiddenElements(frame, tagFilter) {
+  return frame.evaluate((filtersCsv) => {
+    const filters = filtersCsv ? filtersCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+    function matchesFilter(el) {
+      if (!filters || !filters.length) return true;
+      return filters.some(f => {
+        if (f.startsWith(".")) return el.classList.contains(f.slice(1));
+        if (f.startsWith("#")) return el.id === f.slice(1);
+        if (f.startsWith("[") && f.endsWith("]")) {
+          const inside = f.slice(1, -1);
+          const [attr, val] = inside.split("=");
+          if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
+          return el.hasAttribute(attr);
+        }
+        return el.tagName.toLowerCase() === f.toLowerCase();
+      });
+    }
+    const all = window.__locatorDeepElements ? window.__locatorDeepElements(document) : Array.from(document.querySelectorAll("*"));
+    const out = [];
+    for (const el of all) {
+      try {
+        if (!matchesFilter(el)) continue;
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        const visible = !(rect.width === 0 && rect.height === 0) && style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+        if (visible) continue; // skip visible - only hidden scan
+        let attrs = window.__locatorAttributes ? window.__locatorAttributes(el) : null;
+        if (!attrs) {
+          attrs = {};
+          for (const a of el.attributes) attrs[a.name] = a.value;
+        }
+        out.push({
+          tag: el.tagName.toLowerCase(),
+          id: el.id || null,
+          name: el.getAttribute && el.getAttribute('name') || null,
+          class: el.className || null,
+          text: (el.innerText || "").trim().slice(0, 300),
+          attributes: attrs,
+          dataset: Object.assign({}, el.dataset),
+          visible: false,
+          shadowHosts: window.__locatorShadowHosts ? window.__locatorShadowHosts(el) : null,
+          crossOrigin: window !== window.top,
+          ref: window.__locatorRegister ? window.__locatorRegister(el) : null
+        });
+      } catch { }
+    }
+    return out;
+  }, tagFilter ? tagFilter.join(",") : null);
+}
+
+// Watch mode: elements in subtrees added or restyled since the previous drain of this document
+async function walkWatchedElements(frame, tagFilter) {
+  return frame.evaluate((filtersCsv) => (typeof window.__locatorWatchDrain === "function" ? window.__locatorWatchDrain(filtersCsv || null) : []), tagFilter ? tagFilter.join(",") : null);
+}
+
+// Client-side route of a URL (path, query and hash), used to tag watch-mode entries
+function routeOf(url) {
+  try {
+    const u = new URL(url);
+    return u.pathname + u.search + u.hash;
+  } catch {
+    return url;
+  }
+}
+
+// The <iframe>/<frame> element hosting a frame: a selector preferring stable attributes (null
+// unless it matches only this element) and its position among the document's frame elements (the
+// order of window.frames and of Selenium's switchTo().frame(index)); nulls when it cannot be reached
+async function frameElementInfo(frame) {
+  let handle = null;
+  try {
+    handle = await frame.frameElement();
+    return await handle.evaluate((el) => {
+      const tag = el.tagName.toLowerCase();
+      const index = [...el.ownerDocument.querySelectorAll("iframe, frame")].indexOf(el);
+      const quote = (v) => '"' + String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"') + '"';
+      const attr = ["name", "title", "data-testid", "src"].find((a) => el.getAttribute(a));
+      let selector;
+      if (el.id && /^[A-Za-z_][\w-]*$/.test(el.id)) selector = tag + "#" + el.id;
+      else if (attr) selector = tag + "[" + attr + "=" + quote(el.getAttribute(attr)) + "]";
+      else {
+        const s = window.__locatorSerialize && window.__locatorSerialize(el);
+        selector = (s && s.css) || tag;
+      }
+      // a selector shared with another frame element (same title or src) would switch to the wrong frame
+      let unique = false;
+      try { unique = el.ownerDocument.querySelectorAll(selector).length === 1; } catch { }
+      return { selector: unique ? selector : null, index: index < 0 ? null : index };
+    });
+  } catch {
+    return { selector: null, index: null };
+  } finally {
+    if (handle) await handle.dispose().catch(() => { });
+  }
+}
+
+// Owning tab and frame of an entry; frameChain lists the iframes from the top document down
+async function frameContext(page, frame, tabIndex = 1, fallback = {}) {
+  const frameChain = [];
+  for (let f = frame; f && f.parentFrame(); f = f.parentFrame()) {
+    const { selector, index } = await frameElementInfo(f);
+    // Playwright's childFrames() is attach order, only a fallback for frames inside shadow roots
+    frameChain.unshift({ name: f.name() || null, url: f.url(), index: index ?? f.parentFrame().childFrames().indexOf(f), selector });
+  }
+  return {
+    tab: { index: tabIndex, url: page.url() },
+    frameUrl: frame ? frame.url() : fallback.frameUrl || null,
+    frameName: frame ? frame.name() || null : fallback.frameName || null,
+    frameChain,
+  };
+}
+
+// Stamp page URL/time, tab/frame, CDP metadata and verified locator candidates onto raw scan results
+async function enrichScanResults(page, results, { cdp = null, tab = 1, frame = page.mainFrame(), redact = [], logger = log } = {}) {
+  const owner = await frameContext(page, frame, tab);
+  // advanced metadata for the whole batch (needs the registry refs, so before annotateEntry)
+  if (cdp) {
+    try {
+      await cdp.collect(frame, results);
+    } catch (e) {
+      logger("WARN", `CDP metadata failed for ${frame.url()}: ${e.message}`);
+    }
+  }
+  for (const r of results) {
+    r.pageUrl = page.url();
+    r.timestamp = new Date().toISOString();
+    Object.assign(r, owner);
+    // candidates are generated from the sanitized entry, so nothing redacted reaches the locators
+    sanitizeEntry(r, redact);
+    await annotateEntry(frame, r);
+  }
+  return results;
+}
+
+/**
+ * Run the walkers in every frame of the page (main frame first, same- and cross-origin children
+ * through Playwright's frame API) and enrich each frame's results against that frame.
+ * beforeEnrich(frame, results) runs while the registry refs are still on the results.
+ */
+async function scanFrames(page, walkers, tagFilter, { cdp = null, tab = 1, beforeEnrich = null, redact = [], logger = log } = {}) {
+  const all = [];
+  for (const frame of page.frames()) {
+    if (frame.isDetached()) continue;
+    const results = [];
+    for (const walker of walkers) {
+      try {
+        const found = await walker(frame, tagFilter);
+        if (Array.isArray(found)) results.push(...found);
+      } catch (e) {
+        logger("WARN", `Scan of frame ${frame === page.mainFrame() ? "main" : frame.name() || frame.url()} failed: ${e.message.split("\n")[0]}`);
+      }
+    }
+    if (!results.length) continue;
+    if (beforeEnrich) await beforeEnrich(frame, results);
+    await enrichScanResults(page, results, { cdp, tab, frame, redact, logger });
+    all.push(...results);
+  }
+  return all;
+}
+
+// =========================
+// Screenshots (element crops + numbered full-page overlay)
+// =========================
+// the manual-capture inspector and panel never appear in screenshots
+const SHOT_HIDE_STYLE = "[data-locator-overlay] { display: none !important; }";
+
+// Minimal PNG codec for screenshots (8-bit RGB/RGBA without interlacing, as Chromium writes them)
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function decodePng(buffer) {
+  if (!PNG_SIGNATURE.equals(buffer.subarray(0, 8))) throw new Error("Not a PNG image");
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString("latin1", pos + 4, pos + 8);
+    const data = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      channels = { 2: 3, 6: 4 }[data[9]];
+      if (data[8] !== 8 || !channels || data[12]) throw new Error("Unsupported PNG format");
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    pos += 12 + length;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const data = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = y * (stride + 1) + 1;
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? data[out + x - channels] : 0;
+      const b = y ? data[out + x - stride] : 0;
+      const c = y && x >= channels ? data[out + x - stride - channels] : 0;
+      let v = raw[line + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const pa = Math.abs(b - c);
+        const pb = Math.abs(a - c);
+        const pc = Math.abs(a + b - 2 * c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      data[out + x] = v & 0xff;
+    }
+  }
+  return { width, height, channels, data };
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function encodePng({ width, height, channels, data }) {
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height); // filter byte 0 (none) on every row
+  for (let y = 0; y < height; y++) data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = channels === 4 ? 6 : 2;
+  return Buffer.concat([PNG_SIGNATURE, pngChunk("IHDR", ihdr), pngChunk("IDAT", zlib.deflateSync(raw)), pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+// Cut a page-coordinate box out of a decoded image (clamped to it; null when nothing is left)
+function cropImage(image, { x, y, width, height }) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(image.width, Math.ceil(x + width));
+  const bottom = Math.min(image.height, Math.ceil(y + height));
+  if (right <= left || bottom <= top) return null;
+  const stride = image.width * image.channels;
+  const rowBytes = (right - left) * image.channels;
+  const data = Buffer.alloc(rowBytes * (bottom - top));
+  for (let row = top; row < bottom; row++) {
+    const start = row * stride + left * image.channels;
+    image.data.copy(data, (row - top) * rowBytes, start, start + rowBytes);
+  }
+  return { width: right - left, height: bottom - top, channels: image.channels, data };
+}
+
+const MARKER_COLOR = [0xe5, 0x48, 0x4d];
+const LABEL_COLOR = [0xff, 0xff, 0xff];
+// 3x5 bitmaps of the digits 0-9, drawn at 2x for the marker labels
+const DIGIT_GLYPHS = [
+  "111101101101111", "010110010010111", "111001111100111", "111001111001111", "101101111001001",
+  "111100111001111", "111100111101111", "111001001001001", "111101111101111", "111101111001111",
+];
+
+function fillRect(image, x, y, width, height, [r, g, b]) {
+  for (let row = Math.max(0, y); row < Math.min(image.height, y + height); row++) {
+    for (let col = Math.max(0, x); col < Math.min(image.width, x + width); col++) {
+      const i = (row * image.width + col) * image.channels;
+      image.data[i] = r;
+      image.data[i + 1] = g;
+      image.data[i + 2] = b;
+      if (image.channels === 4) image.data[i + 3] = 255;
+    }
+  }
+}
+
+// Numbered red box over every marked element, the label above the box (inside it at the top edge)
+function drawMarkers(image, boxes) {
+  for (const box of boxes) {
+    const [x, y, width, height] = [box.x, box.y, box.width, box.height].map(Math.round);
+    fillRect(image, x, y, width, 2, MARKER_COLOR);
+    fillRect(image, x, y + height - 2, width, 2, MARKER_COLOR);
+    fillRect(image, x, y, 2, height, MARKER_COLOR);
+    fillRect(image, x + width - 2, y, 2, height, MARKER_COLOR);
+    const digits = String(box.marker);
+    const top = y < 18 ? y : y - 18;
+    fillRect(image, x, top, digits.length * 8 + 6, 16, MARKER_COLOR);
+    [...digits].forEach((d, n) => {
+      const glyph = DIGIT_GLYPHS[d];
+      for (let p = 0; p < glyph.length; p++) {
+        if (glyph[p] === "1") fillRect(image, x + 4 + n * 8 + (p % 3) * 2, top + 3 + Math.floor(p / 3) * 2, 2, 2, LABEL_COLOR);
+      }
+    });
+  }
+}
+
+// Number an entry within its page document; re-capturing the same element keeps its number
+function markEntry(shots, doc, entry) {
+  const key = `${entry.ref}|${entry.css || ""}`;
+  if (!doc.refs.has(key)) doc.refs.set(key, { ref: entry.ref, marker: doc.refs.size + 1 });
+  const { marker } = doc.refs.get(key);
+  shots.markers.set(entry, { page: doc.id, marker });
+  return marker;
+}
+
+/**
+ * One full-page screenshot per batch: the crops of the batch's visible main-frame entries are cut
+ * from it, and it is kept with the boxes of every marked element of the document so that
+ * writeScreenshots() draws the numbered page image once, when the files are written.
+ */
+async function captureScreenshots(page, entries, shots, doc, logger = log) {
+  const pending = [];
+  for (const entry of entries) {
+    if (!entry.visible || entry.ref == null || entry.crossOrigin) continue;
+    markEntry(shots, doc, entry);
+    if (!shots.elements.has(entry)) pending.push(entry);
+  }
+  if (!doc.refs.size) return;
+  const markers = [...doc.refs.values()];
+  try {
+    const { rects, scrollX, scrollY } = await page.mainFrame().evaluate((refs) => ({
+      rects: refs.map((ref) => {
+        const el = window.__locatorRefs && window.__locatorRefs[ref];
+        if (!el || !el.isConnected) return null;
+        const r = el.getBoundingClientRect();
+        return r.width && r.height ? { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height } : null;
+      }),
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+    }), markers.map(m => m.ref));
+    const buffer = await page.screenshot({ fullPage: true, scale: "css", animations: "disabled", timeout: 30000, style: SHOT_HIDE_STYLE });
+    const boxes = markers.flatMap((m, i) => (rects[i] ? [{ marker: m.marker, ...rects[i] }] : []));
+    shots.pages.set(doc.id, { url: page.url(), buffer, boxes });
+    if (!pending.length) return;
+
+    const image = decodePng(buffer);
+    for (const entry of pending) {
+      // elements gone from the registry fall back to the bounding box recorded at capture
+      const marker = shots.markers.get(entry).marker;
+      const box = boxes.find(b => b.marker === marker)
+        || (entry.width > 0 && entry.height > 0 ? { x: entry.x + scrollX, y: entry.y + scrollY, width: entry.width, height: entry.height } : null);
+      const crop = box && cropImage(image, box);
+      if (crop) shots.elements.set(entry, encodePng(crop));
+    }
+  } catch (e) {
+    logger("WARN", `Screenshots failed: ${e.message.split("\n")[0]}`);
+  }
+}
+
+// Write crops and overlays to dir and record their paths (relative to baseDir) on the entries
+function writeScreenshots(entries, shots, dir, baseDir) {
+  ensureDir(dir);
+  const rel = (file) => path.relative(baseDir, file).split(path.sep).join("/");
+  const pageFiles = new Map();
+  for (const [id, shot] of shots.pages) {
+    const file = path.join(dir, `page_${id}_${urlSlug(shot.url)}.png`);
+    let buffer = shot.buffer;
+    try {
+      const image = decodePng(shot.buffer);
+      drawMarkers(image, shot.boxes || []);
+      buffer = encodePng(image);
+    } catch { /* keep the page image without markers */ }
+    atomicWrite(file, buffer);
+    pageFiles.set(id, rel(file));
+  }
+  let elements = 0;
+  for (const entry of entries) {
+    const mark = shots.markers.get(entry);
+    if (!mark) continue;
+    const screenshot = { marker: mark.marker, page: pageFiles.get(mark.page) || null, element: null };
+    const buffer = shots.elements.get(entry);
+    if (buffer) {
+      const file = path.join(dir, `${mark.page}_${String(mark.marker).padStart(3, "0")}_${entry.tag || "element"}.png`);
+      atomicWrite(file, buffer);
+      screenshot.element = rel(file);
+      elements++;
+    }
+    entry.screenshot = screenshot;
+  }
+  return { pages: pageFiles.size, elements };
+}
+
+// =========================
+// Browser launch + navigation (shared by extraction and re-validation)
+// =========================
+function getLaunchOptions(options = {}) {
+  const logger = options.logger || log;
+  const proxy = getProxySettingsFrom(options);
+  if (proxy) {
+    const userLabel = proxy.username ? ` user=${proxy.username}` : "";
+    const passLabel = proxy.password ? ` pass=${mask(proxy.password)}` : "";
+    logger("INFO", `Using proxy: ${proxy.server}${userLabel}${passLabel}`);
+  } else {
+    logger("INFO", "No proxy configured — direct connection mode.");
+  }
+
+  const launchOptions = { headless: !!options.headless, args: ["--disable-dev-shm-usage"] };
+  if (proxy) launchOptions.proxy = proxy;
+  return { launchOptions, proxy };
+}
+
+async function navigate(page, url, { waitUntil = "domcontentloaded", navTimeout = 120000, logger = log } = {}) {
+  // 🕒 Informational log for navigation parameters
+  logger("INFO", `Navigating to ${url} with timeout=${navTimeout}ms and waitUntil=${waitUntil}`);
+  const response = await page.goto(url, { waitUntil, timeout: parseInt(navTimeout) });
+  // small wait to stabilize
+  await page.waitForTimeout(1000);
+  return response;
+}
+
+// =========================
+// Authenticated sessions (storage state, cookies/headers, login script)
+// =========================
+// Cookies from config need a url or domain+path; default them to the target site's origin
+function configCookies(cookies, url) {
+  if (!Array.isArray(cookies)) return [];
+  let origin = url;
+  try { origin = new URL(url).origin; } catch { }
+  return cookies.filter(c => c && c.name && c.value != null).map(c => (c.url || c.domain ? c : { ...c, url: origin }));
+}
+
+async function runLoginScript(page, context, options = {}) {
+  const logger = options.logger || log;
+  const file = path.resolve(options.loginScript);
+  if (!fs.existsSync(file)) throw new Error(`Login script not found: ${file}`);
+  const mod = await import(pathToFileURL(file).href);
+  const login = typeof mod.default === "function" ? mod.default : mod.login;
+  if (typeof login !== "function") throw new Error(`Login script ${file} must export a default (or "login") function`);
+  logger("INFO", `🔐 Running login script ${path.basename(file)}...`);
+  try {
+    await login({
+      page,
+      context,
+      url: options.url || null,
+      credentials: { username: process.env.LOGIN_USER || "", password: process.env.LOGIN_PASS || "" },
+      log: logger,
+    });
+  } catch (e) {
+    throw new Error(`Login script failed: ${e.message}`);
+  }
+  logger("SUCCESS", `🔐 Logged in (now at ${page.url()})`);
+}
+
+/**
+ * New browser context with the configured auth applied: storage state (path or object),
+ * extra HTTP headers and cookies. With loginScript set, the script runs in a fresh tab
+ * which is returned as `page` (null otherwise).
+ */
+async function openSession(browser, options = {}, storageState = options.storageState) {
+  const contextOptions = { ignoreHTTPSErrors: true };
+  if (typeof storageState === "string" && storageState) {
+    if (fs.existsSync(storageState)) contextOptions.storageState = storageState;
+    else (options.logger || log)("WARN", `Storage state ${storageState} not found — starting without it.`);
+  } else if (storageState && typeof storageState === "object") {
+    contextOptions.storageState = storageState;
+  }
+  if (options.headers && typeof options.headers === "object") contextOptions.extraHTTPHeaders = options.headers;
+
+  const context = await browser.newContext(contextOptions);
+  const cookies = configCookies(options.cookies, options.url);
+  if (cookies.length) await context.addCookies(cookies);
+
+  let page = null;
+  if (options.loginScript) {
+    page = await context.newPage();
+    await runLoginScript(page, context, options);
+  }
+  return { context, page, authenticated: !!(contextOptions.storageState || options.loginScript) };
+}
+
+// Resolve --saveStorageState (true = alongside --storageState, or in outputDir)
+function storageStateTarget(options = {}) {
+  const { saveStorageState, storageState, outputDir = "output" } = options;
+  if (!saveStorageState) return null;
+  if (typeof saveStorageState === "string" && saveStorageState !== "true") return saveStorageState;
+  return typeof storageState === "string" && storageState ? storageState : path.join(outputDir, "storage_state.json");
+}
+
+async function saveSessionState(context, options = {}) {
+  const target = storageStateTarget(options);
+  if (!target) return null;
+  ensureDir(path.dirname(path.resolve(target)));
+  atomicWrite(target, JSON.stringify(await context.storageState(), null, 2));
+  (options.logger || log)("SUCCESS", `💾 Storage state -> ${target}`);
+  return target;
+}
+
+// Batch/crawl: log in once and hand the resulting storage state to every worker context
+async function sharedStorageState(browser, options = {}) {
+  if (!options.loginScript) {
+    if (options.storageState && !fs.existsSync(options.storageState)) log("WARN", `Storage state ${options.storageState} not found — starting without it.`);
+    return options.storageState && fs.existsSync(options.storageState) ? options.storageState : undefined;
+  }
+  const { context } = await openSession(browser, options);
+  try {
+    await saveSessionState(context, options);
+    return await context.storageState();
+  } finally {
+    await context.close().catch(() => { });
+  }
+}
+
+// =========================
+// Programmatic API (embeddable extraction session)
+// =========================
+/**
+ * One browser session driven only by its options object (same keys as the CLI options). It never
+ * touches stdin, stdout, signals or process.exit and writes no files, except the storage state when
+ * saveStorageState is set. Progress messages are "log" events, also passed to options.logger.
+ *
+ *   const extractor = createExtractor({ url, framework: "playwright", headless: true });
+ *   extractor.on("element", (entry, { source }) => { ... });
+ *   await extractor.start();
+ *   await extractor.scan();
+ *   const { entries, prompts } = await extractor.stop();
+ *
+ * Events: "element" (entry, { source: "capture" | "scan" | "watch" }) for every recorded element,
+ * "update" / "remove" (entry) for edits made in the in-page panel, "done" when its Done button is
+ * clicked, "log" (level, message) for progress messages.
+ */
+function createExtractor(options = {}) {
+  const {
+    url,
+    framework = "playwright",
+    customExample = "",
+    tagFilter = null,
+    headless = false,
+    promptType = "locator",
+    proxyUrl = null,
+    proxyUser = null,
+    proxyPass = null,
+    useCDP = false,
+    screenshots = false,
+    navTimeout = 120000,
+    waitUntil = "domcontentloaded",
+  } = options;
+  const redact = redactionRules(options.redact);
+  const extractor = new EventEmitter();
+  // messages go to "log" events and options.logger only (the CLI passes the console log)
+  const log = (level, msg) => {
+    extractor.emit("log", level, msg);
+    if (typeof options.logger === "function") options.logger(level, msg);
+  };
+
+  let browser = null;
+  let context = null;
+  let page = null;
+  let mainTab = null;
+  let cdpCollectors = [];
+  const allLocators = [];
+  // manual captures are ignored until capturing starts (e.g. while the user navigates first)
+  let capturing = false;
+  let finished = false;
+  // manual captures listed in the in-page panel: id -> entry and back
+  let captureSeq = 0;
+  const manualCaptures = new Map();
+  const captureIds = new Map();
+
+  const promptFor = (entry) => buildPrompt(entry, framework, promptType, framework, customExample);
+
+  // Screenshots: markers restart on every main-frame navigation; captures are serialized so overlays never overlap
+  const shots = { elements: new Map(), markers: new Map(), pages: new Map() };
+  let shotQueue = Promise.resolve();
+  const queueScreenshots = (tabPage, tab, list) => {
+    const doc = tab.doc;
+    shotQueue = shotQueue.then(() => (doc === tab.doc ? captureScreenshots(tabPage, list, shots, doc, log) : null)).catch(() => { });
+    return shotQueue;
+  };
+
+  // Capture handler (binding calls from the injected script in any frame of a tab); the returned
+  // ack tells the page whether to highlight the element
+  async function handleCapture(tabPage, tab, frame, raw) {
+    try {
+      if (!capturing || finished) return { ok: false };
+      const payload = validateCapture(raw);
+      // Smart tag/attribute filter
+      if (tagFilter && Array.isArray(tagFilter)) {
+        if (!elementMatchesFilterNode(payload, tagFilter)) return { ok: false, error: "excluded by tagFilter" };
+      }
+      const isMain = frame === tabPage.mainFrame();
+      payload.pageUrl = tabPage.url();
+      payload.timestamp = new Date().toISOString();
+      Object.assign(payload, await frameContext(tabPage, frame, tab.index, payload));
+
+      // attach advanced metadata through this tab's CDP collector (any frame, resolved by ref)
+      if (tab.cdp) {
+        try {
+          await tab.cdp.collect(frame, [payload]);
+        } catch (e) {
+          // ignore meta errors
+        }
+      }
+
+      // screenshots first: annotateEntry consumes the registry ref
+      if (screenshots && isMain) await queueScreenshots(tabPage, tab, [payload]);
+      sanitizeEntry(payload, redact);
+      // verify selectors live in the frame whose registry holds the element
+      await annotateEntry(frame, payload);
+
+      allLocators.push(payload);
+      log("SUCCESS", `Captured <${payload.tag}> ${payload.id ? `#${payload.id}` : ""} ${payload.css ? `(${payload.css})` : ""}${tab.index > 1 ? ` [tab ${tab.index}]` : ""}${isMain ? "" : ` [frame ${payload.frameName || payload.frameUrl}]`}`);
+      const id = ++captureSeq;
+      manualCaptures.set(id, payload);
+      captureIds.set(payload, id);
+      extractor.emit("element", payload, { source: "capture" });
+      syncOverlay();
+      return { ok: true, id };
+    } catch (e) {
+      log("WARN", `Rejected capture: ${e.message}`);
+      return { ok: false, error: e.message };
+    }
+  }
+
+  // Panel state pushed to every frame of every tab (frames drop marks of removed captures)
+  function overlayState() {
+    const captures = allLocators.filter(e => captureIds.has(e)).map(e => {
+      const best = e.candidates?.[0];
+      return { id: captureIds.get(e), label: e.label || null, tag: e.tag, text: (e.text || "").slice(0, 30), locator: best ? best[framework] || best.selector : e.css };
+    });
+    return { active: capturing && !finished, saving: finished, captures };
+  }
+
+  async function syncOverlay() {
+    const state = overlayState();
+    const frames = [...tabs.keys()].flatMap(p => (p.isClosed() ? [] : p.frames()));
+    await Promise.all(frames.map(f => f.evaluate((st) => window.__locatorOverlaySync && window.__locatorOverlaySync(st), state).catch(() => { })));
+  }
+
+  // Panel actions and second Ctrl/Cmd+Click
+  function editCapture(message) {
+    const entry = manualCaptures.get(message.id);
+    const index = entry ? allLocators.indexOf(entry) : -1;
+    if (index < 0) throw new Error(`unknown capture ${message.id}`);
+    if (message.type === "remove") {
+      allLocators.splice(index, 1);
+      manualCaptures.delete(message.id);
+      captureIds.delete(entry);
+      log("INFO", `Removed capture <${entry.tag}> ${entry.label || entry.css || ""}`);
+      extractor.emit("remove", entry);
+    } else if (message.type === "rename") {
+      if (typeof message.label !== "string") throw new Error("label must be a string");
+      const label = message.label.trim().slice(0, 120);
+      if (label) entry.label = label;
+      else delete entry.label;
+      extractor.emit("update", entry);
+    } else if (message.type === "move") {
+      if (message.offset !== -1 && message.offset !== 1) throw new Error("offset must be -1 or 1");
+      // swap with the neighbouring manual capture; auto-extracted entries keep their places
+      const order = allLocators.map((e, i) => (captureIds.has(e) ? i : -1)).filter(i => i >= 0);
+      const other = order[order.indexOf(index) + message.offset];
+      if (other == null) return;
+      [allLocators[index], allLocators[other]] = [allLocators[other], allLocators[index]];
+      extractor.emit("update", entry);
+    }
+  }
+
+  async function handleMessage(tabPage, frame, message) {
+    if (!message || typeof message !== "object") return { ok: false, error: "message must be an object" };
+    if (message.type === "capture") return handleCapture(tabPage, await attachTab(tabPage), frame, message.payload);
+    if (!capturing || finished) return { ok: false };
+    if (message.type === "done") {
+      log("INFO", "✅ Session finished from the page panel.");
+      extractor.emit("done");
+      return { ok: true };
+    }
+    if (!["remove", "rename", "move"].includes(message.type)) return { ok: false, error: `unknown message type ${message.type}` };
+    try {
+      editCapture(message);
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+    await syncOverlay();
+    return { ok: true };
+  }
+
+  // the token lives only in the injected script; pages cannot read it back to forge captures
+  const sessionToken = crypto.randomBytes(16).toString("hex");
+  const sessionScript = captureScript(sessionToken);
+
+  // Every tab (first page, popups, new tabs) gets its own CDP session; the capture script comes
+  // from the context init script (context "page" also fires for pages we open ourselves, so setup
+  // is memoized per page)
+  const tabs = new Map();
+  let docSeq = 0;
+  const attachTab = (tabPage) => {
+    if (!tabs.has(tabPage)) tabs.set(tabPage, setupTab(tabPage, tabs.size + 1));
+    return tabs.get(tabPage);
+  };
+  async function setupTab(tabPage, index) {
+    const tab = { index, cdp: null, doc: { id: ++docSeq, refs: new Map() } };
+    tabPage.on("framenavigated", (frame) => {
+      if (frame === tabPage.mainFrame()) tab.doc = { id: ++docSeq, refs: new Map() };
+    });
+    // redraw the capture panel in freshly loaded documents
+    tabPage.on("domcontentloaded", () => syncOverlay());
+    if (useCDP) {
+      try {
+        tab.cdp = await openCdpCollector(context, tabPage);
+        cdpCollectors.push(tab.cdp);
+        log("INFO", tab.index === 1 ? "CDP session connected (advanced metadata ready)." : `CDP attached to tab ${tab.index}.`);
+      } catch (err) {
+        log("WARN", `CDP attach for tab ${tab.index} failed: ${err.message}`);
+      }
+    }
+    return tab;
+  }
+
+  /**
+   * Launch the browser, open the (authenticated) session and load options.url; resolves to
+   * { url, status, authenticated, proxy } (status: HTTP status of the main document, if any). Manual captures are accepted right away unless
+   * { capture: false } is passed (see enableCapture()).
+   */
+  async function start({ capture = true } = {}) {
+    if (browser) throw new Error("Extractor already started");
+    if (!isValidUrl(url)) throw new Error("Invalid or unsafe URL: " + url);
+    const { launchOptions, proxy } = getLaunchOptions({ headless, proxyUrl, proxyUser, proxyPass, logger: log });
+
+    log("INFO", `Launching browser for ${url} (headless=${headless})`);
+    browser = await chromium.launch(launchOptions);
+    try {
+      const session = await openSession(browser, { ...options, logger: log });
+      context = session.context;
+
+      // Page popup/new-tab handler
+      context.on("page", async (newPage) => {
+        try {
+          const tab = await attachTab(newPage);
+          log("INFO", `New page opened (tab ${tab.index}): ${newPage.url() || "about:blank"}`);
+        } catch (e) {
+          log("WARN", `Failed to attach to new page: ${e.message}`);
+        }
+      });
+
+      // One binding for the whole context: reaches every tab and frame, cross-origin ones included
+      await context.exposeBinding(CAPTURE_BINDING, async ({ page: tabPage, frame }, token, message) => {
+        if (token !== sessionToken) {
+          log("WARN", `Ignored capture with an invalid session token from ${frame?.url() || "unknown frame"}`);
+          return { ok: false };
+        }
+        return handleMessage(tabPage, frame, message);
+      });
+      // registered on the context, so popups and new tabs run it before their own scripts (a
+      // page-level script added from context "page" would come after the popup has loaded)
+      await context.addInitScript({ content: sessionScript });
+      for (const open of context.pages()) await injectIntoExistingFrames(open, sessionScript);
+
+      page = session.page || await context.newPage();
+      mainTab = await attachTab(page);
+
+      const response = await navigate(page, url, { waitUntil, navTimeout, logger: log });
+      log("INFO", `✅ Page loaded: ${page.url()}`);
+      if (capture) await enableCapture();
+      return { url: page.url(), status: response ? response.status() : null, authenticated: session.authenticated, proxy };
+    } catch (e) {
+      await close();
+      throw e;
+    }
+  }
+
+  // Start accepting Ctrl/Cmd+Click captures and show the capture panel
+  async function enableCapture() {
+    capturing = true;
+    await syncOverlay();
+  }
+
+  /**
+   * Run the Smart DOM Walker over every frame of the current page (visible and/or hidden
+   * elements). The new entries are recorded, emitted as "element" events and returned.
+   */
+  async function scan({ visible = true, hidden = false } = {}) {
+    if (!page) throw new Error("Extractor not started");
+    const results = [];
+    if (visible) {
+      log("INFO", "🤖 Auto Extract All (Smart DOM Walker) starting...");
+      const found = await scanFrames(page, [walkVisibleElements], tagFilter, {
+        cdp: mainTab.cdp,
+        tab: mainTab.index,
+        redact,
+        logger: log,
+        // screenshots first: enrichment consumes the registry refs
+        beforeEnrich: screenshots ? (frame, list) => (frame === page.mainFrame() ? queueScreenshots(page, mainTab, list) : null) : null,
+      });
+      if (found.length) {
+        const inFrames = found.filter(r => r.frameChain?.length).length;
+        log("SUCCESS", `Auto-extracted ${found.length} elements from ${page.url()}${inFrames ? ` (${inFrames} inside iframes)` : ""}`);
+      } else {
+        log("WARN", "Auto-extract found 0 elements.");
+      }
+      results.push(...found);
+    }
+    // hidden elements too, using dashboard logic
+    if (hidden) {
+      log("INFO", "🔍 Running hidden-element scan...");
+      const found = await scanFrames(page, [walkHiddenElements], tagFilter, { cdp: mainTab.cdp, tab: mainTab.index, redact, logger: log });
+      log("INFO", found.length ? `Hidden-scan collected ${found.length} elements.` : "Hidden-scan found 0 elements.");
+      results.push(...found);
+    }
+    for (const r of results) {
+      allLocators.push(r);
+      extractor.emit("element", r, { source: "scan" });
+    }
+    return results;
+  }
+
+  let watchStopRequested = false;
+
+  /**
+   * Watch mode: scroll the page step by step and re-scan the subtrees that DOM mutations and
+   * client-side route changes bring in, until a stop condition is met (idle/maxTime in seconds;
+   * 0 disables a limit). New entries get appearedIn { route, trigger, round } and an "element"
+   * event with source "watch". Resolves to { entries, rounds, reason }.
+   */
+  async function watch({ idle = 5, scrollEnd = false, maxElements = 0, maxTime = 120, interval = 1000, scroll = true } = {}) {
+    if (!page) throw new Error("Extractor not started");
+    for (const [name, value] of Object.entries({ idle, maxElements, maxTime, interval })) {
+      if (!Number.isFinite(value) || value < 0) throw new Error(`watch: ${name} must be a number >= 0 (got ${value})`);
+    }
+    const started = Date.now();
+    const found = [];
+    let routeChanged = false;
+    const onNavigated = (frame) => {
+      if (frame === page.mainFrame()) routeChanged = true;
+    };
+    page.on("framenavigated", onNavigated);
+    watchStopRequested = false;
+
+    const limits = [idle > 0 && `idle ${idle}s`, scrollEnd && "scroll end", maxElements > 0 && `${maxElements} elements`, maxTime > 0 && `max ${maxTime}s`].filter(Boolean);
+    log("INFO", `👀 Watching ${page.url()} for new elements (stops at ${limits.join(", ") || "ENTER"})...`);
+    let lastProgress = Date.now();
+    let lastHeight = null;
+    let scrolled = false;
+    let reason = null;
+    let round = 0;
+    try {
+      while (!reason) {
+        round++;
+        const trigger = round === 1 ? "initial" : routeChanged ? "route" : scrolled ? "scroll" : "mutation";
+        if (routeChanged) lastProgress = Date.now();
+        routeChanged = false;
+        const results = await scanFrames(page, [walkWatchedElements], tagFilter, {
+          cdp: mainTab.cdp,
+          tab: mainTab.index,
+          redact,
+          logger: log,
+          beforeEnrich: screenshots ? (frame, list) => (frame === page.mainFrame() ? queueScreenshots(page, mainTab, list) : null) : null,
+        });
+        const route = routeOf(redactUrl(page.url(), redact));
+        for (const r of results) {
+          r.appearedIn = { route, trigger, round };
+          allLocators.push(r);
+          found.push(r);
+          extractor.emit("element", r, { source: "watch" });
+        }
+        if (results.length) {
+          lastProgress = Date.now();
+          log("SUCCESS", `Watch round ${round}: ${results.length} new element(s) on ${route} (${trigger})`);
+        }
+
+        // one step down; a moving position or a growing page counts as progress
+        const position = scroll
+          ? await page.evaluate(() => {
+            const el = document.scrollingElement || document.documentElement;
+            const before = el.scrollTop;
+            window.scrollBy(0, Math.max(200, window.innerHeight * 0.8));
+            return { moved: el.scrollTop !== before, atEnd: el.scrollTop + window.innerHeight >= el.scrollHeight - 2, height: el.scrollHeight };
+          }).catch(() => null)
+          : null;
+        scrolled = Boolean(position?.moved);
+        if (scrolled || (position && lastHeight != null && position.height !== lastHeight)) lastProgress = Date.now();
+
+        if (watchStopRequested || finished || page.isClosed()) reason = "stopped";
+        else if (maxElements > 0 && found.length >= maxElements) reason = "maxElements";
+        else if (scrollEnd && position?.atEnd && !position.moved && position.height === lastHeight && !results.length) reason = "scrollEnd";
+        else if (idle > 0 && Date.now() - lastProgress >= idle * 1000) reason = "idle";
+        else if (maxTime > 0 && Date.now() - started >= maxTime * 1000) reason = "maxTime";
+        if (position) lastHeight = position.height;
+        if (!reason) await page.waitForTimeout(interval);
+      }
+    } catch (e) {
+      if (!page.isClosed()) throw e;
+      reason = "closed";
+    } finally {
+      page.off("framenavigated", onNavigated);
+    }
+    log("INFO", `Watch finished (${reason}): ${found.length} new element(s) in ${round} round(s).`);
+    return { entries: found, rounds: round, reason };
+  }
+
+  // End a running watch() after its current round
+  function stopWatch() {
+    watchStopRequested = true;
+  }
+
+  // De-duplicated entries recorded so far, in session order
+  function results() {
+    return deduplicate(allLocators);
+  }
+
+  /**
+   * End the session: save the storage state when configured, close the browser and return
+   * { url, entries, prompts, captured, stats, shots }. prompts[i] belongs to entries[i]; shots
+   * holds the screenshot buffers (null without options.screenshots) for writeScreenshots().
+   */
+  async function stop() {
+    if (!browser) throw new Error("Extractor not started");
+    finished = true;
+    await syncOverlay();
+    await shotQueue;
+    const finalUrl = page && !page.isClosed() ? page.url() : url;
+    await saveSessionState(context, { ...options, logger: log }).catch(e => log("WARN", `Saving storage state failed: ${e.message}`));
+    await close();
+
+    const entries = results();
+    return {
+      url: finalUrl,
+      entries,
+      prompts: entries.map(promptFor),
+      captured: allLocators.length,
+      stats: extractionStats(entries),
+      shots: screenshots ? shots : null,
+    };
+  }
+
+  // Detach CDP and close the browser without collecting results (safe to call more than once)
+  async function close() {
+    finished = true;
+    try {
+      if (cdpCollectors.length) {
+        log("INFO", `Detaching ${cdpCollectors.length} CDP client(s)...`);
+        for (const c of cdpCollectors) {
+          try { await c.detach(); } catch { /* ignore */ }
+        }
+      }
+      if (browser) {
+        try { await browser.close(); log("INFO", "Browser closed."); } catch (e) { log("WARN", `Browser close failed: ${e.message}`); }
+      }
+    } catch (e) {
+      log("WARN", `Cleanup error: ${e.message}`);
+    } finally {
+      browser = null;
+      context = null;
+      cdpCollectors = [];
+    }
+  }
+
+  return Object.assign(extractor, { start, enableCapture, scan, watch, stopWatch, results, prompt: promptFor, stop, close });
+}
+
+// =========================
+// CI policies (checks that fail an unattended run)
+// =========================
+// Required test ids: a JSON array or one id per line ("#" starts a comment line)
+function loadRequiredTestIds(file) {
+  if (!fs.existsSync(file)) throw new Error(`Required test id file not found: ${file}`);
+  const text = fs.readFileSync(file, "utf8");
+  const ids = text.trim().startsWith("[") ? JSON.parse(text) : text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== "string")) throw new Error(`${file} must list test ids as strings`);
+  return [...new Set(ids)];
+}
+
+// Values of every test-id attribute (data-testid, data-test, data-qa, ...) found on the entries
+function entryTestIds(entries) {
+  const found = new Set();
+  for (const entry of entries) {
+    const attrs = entry.attributes || {};
+    for (const attr of TEST_ID_ATTRIBUTES) if (attrs[attr]) found.add(attrs[attr]);
+  }
+  return found;
+}
+
+// Policy failures for a finished extraction: [{ policy, message }], empty when everything passed
+function evaluatePolicies(entries, { minElements = 0, requiredTestIds = [] } = {}) {
+  const failures = [];
+  if (minElements > 0 && entries.length < minElements) {
+    failures.push({ policy: "minElements", message: `Found ${entries.length} element(s), at least ${minElements} required` });
+  }
+  if (requiredTestIds.length) {
+    const found = entryTestIds(entries);
+    const missing = requiredTestIds.filter(id => !found.has(id));
+    if (missing.length) failures.push({ policy: "requiredTestIds", message: `Missing ${missing.length} required test id(s): ${missing.join(", ")}`, missing });
+  }
+  return failures;
+}
+
+// =========================
+// Locator contract (elements every matching page must expose)
+// =========================
+const CONTRACT_KEYS = ["testId", "role", "name", "label", "selector", "allowHidden", "allowMultiple"];
+
+// URL glob: "*" stays inside one path segment, "**" spans segments; "/..." patterns match the path only
+function contractPattern(pattern) {
+  const source = pattern.split(/(\*\*|\*)/).map(part => (part === "**" ? ".*" : part === "*" ? "[^/]*" : part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))).join("");
+  const re = new RegExp(`^${source}/?$`);
+  return (url) => {
+    try {
+      const u = new URL(url);
+      return re.test(pattern.startsWith("/") ? u.pathname : u.origin + u.pathname);
+    } catch {
+      return false;
+    }
+  };
+}
+
+/**
+ * Contract file: { "<url pattern>": [requirement, ...] }. A requirement needs at least one of
+ * testId, role (optionally with its accessible name), label (capture name) or selector; hidden or
+ * repeated matches fail it unless allowHidden / allowMultiple is set.
+ */
+function loadContract(file) {
+  if (!fs.existsSync(file)) throw new Error(`Contract file not found: ${file}`);
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error(`${file} must map URL patterns to lists of required elements`);
+  const pages = Object.entries(parsed).map(([pattern, requirements]) => {
+    if (!Array.isArray(requirements)) throw new Error(`${file}: "${pattern}" must list required elements`);
+    requirements.forEach((req, i) => {
+      const where = `${file}: "${pattern}"[${i}]`;
+      if (!req || typeof req !== "object") throw new Error(`${where} must be an object`);
+      const unknown = Object.keys(req).filter(k => !CONTRACT_KEYS.includes(k));
+      if (unknown.length) throw new Error(`${where} has unknown key(s): ${unknown.join(", ")}`);
+      if (!req.testId && !req.role && !req.label && !req.selector) throw new Error(`${where} needs testId, role, label or selector`);
+      if (req.name && !req.role) throw new Error(`${where}: name is the accessible name of a role and needs role`);
+    });
+    return { pattern, matches: contractPattern(pattern), requirements };
+  });
+  return { file, pages };
+}
+
+function describeRequirement(req) {
+  if (req.testId) return `test id "${req.testId}"`;
+  if (req.role) return req.name ? `${req.role} "${req.name}"` : `any ${req.role}`;
+  if (req.label) return `element named "${req.label}"`;
+  return `selector ${req.selector}`;
+}
+
+// Every given criterion must hold
+function matchesRequirement(entry, req) {
+  const attrs = entry.attributes || {};
+  if (req.testId && !TEST_ID_ATTRIBUTES.some(a => attrs[a] === req.testId)) return false;
+  if (req.role) {
+    const role = implicitRole(entry);
+    if (role !== req.role) return false;
+    if (req.name && accessibleName(entry, role)?.name !== req.name) return false;
+  }
+  if (req.label && entry.label !== req.label) return false;
+  if (req.selector) {
+    const strings = [entry.css, entry.xpath, ...(entry.candidates || []).flatMap(c => [c.selector, c.playwright, c.selenium, c.cypress, c.robot])];
+    if (!strings.includes(req.selector)) return false;
+  }
+  return true;
+}
+
+/**
+ * Check extracted entries against a contract, page by page (every extracted URL a pattern matches
+ * must satisfy all of its requirements). Status per requirement: ok | missing | duplicated | hidden.
+ * Patterns matching no extracted page are only listed (unchecked); a check that covered no
+ * requirement never passes, so a redirect or a mistyped pattern cannot pass silently.
+ */
+function checkContract(contract, entries) {
+  const byPage = new Map();
+  for (const entry of entries) {
+    const key = pageKey(entry.pageUrl);
+    if (!byPage.has(key)) byPage.set(key, []);
+    byPage.get(key).push(entry);
+  }
+
+  const pages = [];
+  const unchecked = [];
+  for (const { pattern, matches, requirements } of contract.pages) {
+    const urls = [...byPage.keys()].filter(matches);
+    if (!urls.length) unchecked.push(pattern);
+    for (const url of urls) {
+      const results = requirements.map(req => {
+        const found = byPage.get(url).filter(e => matchesRequirement(e, req));
+        let status = "ok";
+        if (!found.length) status = "missing";
+        else if (!req.allowHidden && !found.some(e => e.visible)) status = "hidden";
+        else if (!req.allowMultiple && found.length > 1) status = "duplicated";
         return {
-          tag: el.tagName.toLowerCase(),
-          id: el.id || null,
-          name: el.getAttribute && el.getAttribute('name') || null,
-          class: el.className || null,
-          type: el.getAttribute && el.getAttribute('type') || null,
-          placeholder: el.getAttribute && el.getAttribute('placeholder') || null,
-          value: el.value || null,
-          href: el.getAttribute && el.getAttribute('href') || null,
-          title: el.getAttribute && el.getAttribute('title') || null,
-          role: el.getAttribute && el.getAttribute('role') || null,
-          ariaLabel: el.getAttribute && el.getAttribute('aria-label') || null,
-          text: (el.innerText || el.value || "").trim().slice(0, 300),
-          visible: !(rect.width === 0 && rect.height === 0) && window.getComputedStyle(el).display !== 'none' && window.getComputedStyle(el).visibility !== 'hidden' && window.getComputedStyle(el).opacity !== '0',
-          css: (function(){ try { return cssPath(el); } catch { return null; } })(),
-          xpath: (function(){ try { return absoluteXPath(el); } catch { return null; } })(),
-          attributes: attrs,
-          dataset: Object.assign({}, el.dataset),
-          x: rect.x,
-          y: rect.y
+          requirement: req,
+          description: describeRequirement(req),
+          status,
+          matches: found.length,
+          locators: found.slice(0, 5).map(e => e.candidates?.[0]?.selector || e.css),
         };
-      } catch (e) {
-        return null;
-      }
+      });
+      pages.push({ pattern, url, requirements: results });
+    }
+  }
+
+  const all = pages.flatMap(p => p.requirements);
+  const totals = { pages: pages.length, required: all.length };
+  for (const status of ["ok", "missing", "duplicated", "hidden"]) totals[status] = all.filter(r => r.status === status).length;
+  totals.unmatched = unchecked.length;
+  const missingTestIds = pages.flatMap(p => p.requirements
+    .filter(r => r.status === "missing" && r.requirement.testId)
+    .map(r => ({ url: p.url, testId: r.requirement.testId, requirement: r.requirement })));
+
+  return {
+    contract: contract.file,
+    checkedAt: new Date().toISOString(),
+    passed: totals.required > 0 && totals.required === totals.ok,
+    totals,
+    unchecked,
+    pages,
+    missingTestIds,
+  };
+}
+
+// Developer checklist of the test ids to add, grouped by page
+function renderMissingTestIds(report) {
+  const lines = [`Missing test ids (contract: ${report.contract})`];
+  let url = null;
+  for (const item of report.missingTestIds) {
+    if (item.url !== url) {
+      url = item.url;
+      lines.push("", url);
     }
+    const hint = item.requirement.role ? ` on the ${item.requirement.role}${item.requirement.name ? ` "${item.requirement.name}"` : ""}` : "";
+    lines.push(`- [ ] data-testid="${item.testId}"${hint}`);
+  }
+  return lines.join("\n") + "\n";
+}
 
-    const results = [];
-    const seen = new Set();
-    const elements = Array.from(document.querySelectorAll("*"));
-    for (const el of elements) {
-      try {
-        if (!elementMatchesFilter(el, allowed)) continue;
-        // heuristics for interactable
-        const rect = el.getBoundingClientRect();
-        const style = window.getComputedStyle(el);
-        const isVisible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
-        if (!isVisible) continue;
-        if (seen.has(el)) continue;
-        seen.add(el);
-        const s = serialize(el);
-        if (s) results.push(s);
-      } catch (e){}
+// Write the contract report (+ the test id checklist when ids are missing) and log the result
+function writeContractReport(report, jsonFile, checklistFile) {
+  atomicWrite(jsonFile, JSON.stringify(report, null, 2));
+  const { totals } = report;
+  log(report.passed ? "SUCCESS" : "ERROR", `📜 Contract ${report.passed ? "passed" : "failed"}: ${totals.ok}/${totals.required} ok, ${totals.missing} missing, ${totals.duplicated} duplicated, ${totals.hidden} hidden (${totals.pages} page(s))`);
+  for (const page of report.pages) {
+    for (const r of page.requirements) {
+      if (r.status !== "ok") log("WARN", `  ${r.status.toUpperCase().padEnd(10)} ${r.description} — ${page.url}${r.matches > 1 ? ` (${r.matches} matches)` : ""}`);
     }
-    return results;
-  };
-})();
-`;
+  }
+  if (!totals.required) log("ERROR", "  No requirement was checked: no extracted page matches a contract pattern");
+  if (report.unchecked.length) log("INFO", `  No extracted page matched: ${report.unchecked.join(", ")}`);
+  log("SUCCESS", `💾 Contract -> ${jsonFile}`);
+  if (!report.missingTestIds.length) return [jsonFile];
+  atomicWrite(checklistFile, renderMissingTestIds(report));
+  log("SUCCESS", `💾 Missing test ids -> ${checklistFile}`);
+  return [jsonFile, checklistFile];
+}
 
 // =========================
-// Inject helpers for frames and popups
+// Main extraction (CLI: ENTER / timeout / SIGINT handling and output files)
 // =========================
-async function injectIntoAllFrames(page, scriptContent) {
+/**
+ * Resolves to the run summary ({ passed, counts, files, failures, timings, ... }); it is also
+ * written as JSON in CI mode or when summaryFile is set. With ci, nothing waits for stdin: the
+ * run saves and ends right after the scans.
+ */
+async function runExtractor(options = {}) {
+  const {
+    url,
+    framework = "playwright",
+    scanHidden = false,
+    headless = false,
+    outputDir = "output",
+    timeout = 0,
+    autoExtract = false,
+    waitForStart = false,
+    jsonPrefix = "locators",
+    promptPrefix = "copilot_prompts",
+    minStability = 0,
+    stabilityAction = "warn",
+    pageObjects = false,
+    pomPackage = "pages",
+    screenshots = false,
+    formats = ["json"],
+    llm = false,
+    ci = false,
+    minElements = 0,
+    requireTestIds = null,
+    summaryFile = null,
+    contract = null,
+    watch = false,
+    watchIdle = 5,
+    watchScrollEnd = false,
+    watchMaxElements = 0,
+    watchMaxTime = 120,
+  } = options;
+
+  // an unattended watch must be able to end by itself: nothing can press ENTER in CI
+  if (watch && ci && !(watchIdle > 0 || watchMaxTime > 0 || watchMaxElements > 0 || watchScrollEnd)) {
+    throw new Error("--watch with --ci needs a stop condition: --watchIdle, --watchMaxTime, --watchMaxElements or --watchScrollEnd");
+  }
+
+  if (!isValidUrl(url)) throw new Error("Invalid or unsafe URL: " + url);
+  // fail before the session starts, not after the captures have been made
+  if (llm) {
+    if (!options.llmUrl) throw new Error("--llm requires --llmUrl (OpenAI-compatible endpoint)");
+    llmEndpoint(options.llmUrl);
+  }
+  const requiredTestIds = requireTestIds ? loadRequiredTestIds(requireTestIds) : [];
+  const contractSpec = contract ? loadContract(contract) : null;
+
+  ensureDir(outputDir);
+
+  const extractor = createExtractor({ ...options, logger: log });
+  const started = Date.now();
+  const summary = {
+    url,
+    finalUrl: null,
+    framework,
+    ci,
+    startedAt: new Date(started).toISOString(),
+    finishedAt: null,
+    passed: false,
+    counts: null,
+    files: {},
+    failures: [],
+    timings: {},
+  };
+  let ts = null;
+  let phase = "navigation";
+  const lap = (name, since) => (summary.timings[name] = Date.now() - since);
+  const writeSummary = () => {
+    summary.finishedAt = new Date().toISOString();
+    lap("totalMs", started);
+    summary.passed = summary.failures.length === 0;
+    if (!ci && !summaryFile) return;
+    const file = summaryFile || path.join(outputDir, `summary_${ts || getTimestamp()}.json`);
+    ensureDir(path.dirname(file));
+    atomicWrite(file, JSON.stringify(summary, null, 2));
+    log(summary.passed ? "SUCCESS" : "ERROR", `💾 Summary  -> ${file} (${summary.passed ? "passed" : `${summary.failures.length} failure(s)`})`);
+  };
+
+  // graceful SIGINT
+  process.once("SIGINT", async () => {
+    log("WARN", "SIGINT received — attempting graceful shutdown...");
+    await extractor.close();
+    log("INFO", "Shutdown complete.");
+    process.exit(0);
+  });
+
   try {
-    // add init script for future frames
-    await page.addInitScript({ content: scriptContent });
-    // also inject into existing frames
-    const frames = page.frames();
-    for (const frame of frames) {
+    const { url: loadedUrl, status, authenticated, proxy } = await extractor.start({ capture: false });
+    lap("navigationMs", started);
+    summary.finalUrl = loadedUrl;
+    summary.status = status;
+    if (status >= 400) summary.failures.push({ policy: "navigation", message: `HTTP ${status} for ${url}` });
+    phase = "scan";
+
+    // headless, unattended and authenticated runs cannot (or need not) wait for manual navigation
+    if (waitForStart && !ci && !headless && !authenticated) {
+      log("INFO", "---------------------------------------------");
+      log("INFO", "You may now manually navigate to the desired page within the browser.");
+      log("INFO", "Once you’ve reached the target screen, press ENTER here to start extraction.");
+      log("INFO", "---------------------------------------------");
+      await new Promise((resolve) => {
+        process.stdin.once("data", () => {
+          log("INFO", "✅ User confirmed. Starting extraction...");
+          resolve();
+        });
+      });
+    }
+
+    let lastActivity = Date.now();
+    const resetTimer = () => (lastActivity = Date.now());
+    for (const event of ["element", "update", "remove"]) extractor.on(event, resetTimer);
+    // ENTER, the inactivity timeout or the panel's Done button end the session (listen before scanning);
+    // unattended runs never read stdin and stop right after the scans
+    const stopped = ci ? Promise.resolve() : new Promise((resolve) => process.stdin.once("data", resolve));
+    if (!ci) {
+      // same path as ENTER in the terminal
+      extractor.on("done", () => process.stdin.emit("data"));
+      await extractor.enableCapture();
+    }
+
+    // a scan error fails an unattended run instead of silently saving fewer elements
+    const scanStarted = Date.now();
+    // Auto Extract (Smart DOM Walker) - if requested
+    if (autoExtract) {
       try {
-        await frame.evaluate((src) => {
-          if (!window.__locator_installed) {
-            const s = document.createElement("script");
-            s.type = "text/javascript";
-            s.text = src;
-            document.documentElement.appendChild(s);
-          }
-        }, scriptContent);
-      } catch {
-        // ignore cross-origin frames
+        await extractor.scan();
+      } catch (e) {
+        log("WARN", `Auto extract failed: ${e.message}`);
+        if (ci) summary.failures.push({ policy: "scan", message: `Auto extract failed: ${e.message}` });
       }
     }
-  } catch (e) {
-    // swallow
+
+    // scanHidden option: collect hidden elements too
+    if (scanHidden) {
+      try {
+        await extractor.scan({ visible: false, hidden: true });
+      } catch (e) {
+        log("WARN", `Hidden scan failed: ${e.message}`);
+        if (ci) summary.failures.push({ policy: "scan", message: `Hidden scan failed: ${e.message}` });
+      }
+    }
+
+    // watch mode: follow lazy loading, infinite scroll and route changes (ENTER ends it early)
+    if (watch) {
+      if (!ci) stopped.then(() => extractor.stopWatch());
+      try {
+        const watched = await extractor.watch({ idle: watchIdle, scrollEnd: watchScrollEnd, maxElements: watchMaxElements, maxTime: watchMaxTime });
+        summary.watch = { elements: watched.entries.length, rounds: watched.rounds, reason: watched.reason };
+      } catch (e) {
+        log("WARN", `Watch failed: ${e.message}`);
+        if (ci) summary.failures.push({ policy: "scan", message: `Watch failed: ${e.message}` });
+      }
+    }
+    lap("scanMs", scanStarted);
+
+    // auto-timeout watcher for inactivity
+    if (timeout > 0 && !ci) {
+      const interval = setInterval(() => {
+        try {
+          if (Date.now() - lastActivity > timeout * 1000) {
+            log("WARN", `Timeout reached (${timeout}s inactivity) — auto-stopping.`);
+            // simulate Enter
+            process.stdin.emit("data");
+            clearInterval(interval);
+          }
+        } catch { }
+      }, 2000);
+    }
+
+    // Now wait for manual stop (Enter from user) if not auto-extracted-only
+    // If autoExtract was used, still allow manual Ctrl+click captures until user presses Enter.
+    await stopped;
+    phase = "save";
+    const saveStarted = Date.now();
+    const result = await extractor.stop();
+
+    // Collate results and save
+    let unique = result.entries;
+    let prompts = result.prompts;
+
+    // Stability threshold: warn about (or drop) entries whose best locator scores too low
+    const lowStability = minStability > 0 ? unique.filter(el => (el.stability?.score ?? 0) < minStability) : [];
+    for (const el of lowStability) {
+      log("WARN", `Low stability ${el.stability?.score ?? 0} < ${minStability}: <${el.tag}> ${el.stability?.locator || "no locator"} — ${(el.stability?.reasons || []).join("; ") || "no stable attributes"}`);
+    }
+    if (lowStability.length && stabilityAction === "drop") {
+      const dropped = new Set(lowStability);
+      unique = unique.filter(el => !dropped.has(el));
+      prompts = prompts.filter((_, i) => !dropped.has(result.entries[i]));
+      log("WARN", `Dropped ${dropped.size} entr${dropped.size === 1 ? "y" : "ies"} below minStability=${minStability}.`);
+    }
+
+    let llmCounts = null;
+    if (llm && unique.length) {
+      llmCounts = await resolveWithLlm(unique, extractor.prompt, options);
+    }
+
+    ts = getTimestamp();
+    const safeFramework = typeof framework === "string" ? framework.replace(/[^a-z0-9_-]/gi, "") : "playwright";
+
+    const jsonFile = path.join(outputDir, `${jsonPrefix || "locators"}_${ts}.json`);
+    const txtFile = path.join(outputDir, `${promptPrefix || "copilot_prompts"}_${safeFramework}_${ts}.txt`);
+
+    let shotDir = null;
+    let shotCounts = null;
+    if (screenshots) {
+      shotDir = path.join(outputDir, `screenshots_${ts}`);
+      shotCounts = writeScreenshots(unique, result.shots, shotDir, outputDir);
+    }
+
+    atomicWrite(jsonFile, JSON.stringify(unique, null, 2));
+    atomicWrite(txtFile, prompts.join("\n\n========================\n\n"));
+    const exportFiles = writeExports(unique, formats, path.join(outputDir, `${jsonPrefix || "locators"}_${ts}`));
+
+    const reportFile = path.join(outputDir, `report_${ts}.html`);
+    atomicWrite(reportFile, renderHtmlReport(unique, { title: `Locator extraction report — ${url}`, framework, baseDir: outputDir }));
+
+    // Visible vs hidden summary
+    const stats = extractionStats(unique);
+    const { validation: validationCounts, rawSelectorIssues, histogram } = stats;
+    summary.failures.push(...evaluatePolicies(unique, { minElements, requiredTestIds }));
+    const contractReport = contractSpec ? checkContract(contractSpec, unique) : null;
+    if (contractReport && !contractReport.passed) {
+      const { missing, duplicated, hidden, required } = contractReport.totals;
+      summary.failures.push({ policy: "contract", message: required
+        ? `${missing} missing, ${duplicated} duplicated, ${hidden} hidden of ${required} required element(s)`
+        : `no contract pattern matches ${url}` });
+    }
+
+    log("INFO", "---------------------------------------------");
+    log("INFO", `📄 Extraction Summary`);
+    log("INFO", `  • Framework: ${framework}`);
+    if (proxy) log("INFO", `  • Proxy: ${proxy.server}`);
+    log("INFO", `  • Total elements captured: ${result.captured}`);
+    log("INFO", `  • Unique locators saved: ${unique.length}`);
+    log("INFO", `  • Visible: ${stats.visible}  Hidden: ${stats.hidden}`);
+    if (stats.pages.length > 1) {
+      for (const p of stats.pages) log("INFO", `      ${p.url}: ${p.total} (${p.visible} visible, ${p.hidden} hidden)`);
+    }
+    log("INFO", `  • Selector check: ${validationCounts.unique} unique, ${validationCounts.ambiguous} ambiguous, ${validationCounts.broken} broken, ${validationCounts.unverified} unverified`);
+    if (rawSelectorIssues) log("WARN", `  • ${rawSelectorIssues} entr${rawSelectorIssues === 1 ? "y has" : "ies have"} an ambiguous or broken raw css/xpath`);
+    log("INFO", `  • Prompts generated: ${prompts.length}`);
+    if (llmCounts) log(llmCounts.failed ? "WARN" : "INFO", `  • LLM resolved: ${llmCounts.ok}  failed: ${llmCounts.failed}`);
+    const maxBucket = Math.max(1, ...Object.values(histogram));
+    log("INFO", "  • Stability histogram:");
+    for (const [bucket, count] of Object.entries(histogram)) {
+      log("INFO", `      ${bucket.padStart(6)} | ${"█".repeat(Math.round((count / maxBucket) * 30))} ${count}`);
+    }
+    if (minStability > 0) log("INFO", `  • Below minStability=${minStability}: ${lowStability.length} (${stabilityAction === "drop" ? "dropped" : "kept"})`);
+    for (const failure of summary.failures) log("ERROR", `  • Policy ${failure.policy}: ${failure.message}`);
+    log("INFO", "---------------------------------------------");
+    log("SUCCESS", `💾 Locators -> ${jsonFile}`);
+    log("SUCCESS", `💾 Prompts  -> ${txtFile}`);
+    log("SUCCESS", `💾 Report   -> ${reportFile}`);
+    for (const file of exportFiles) log("SUCCESS", `💾 ${path.extname(file).slice(1).toUpperCase().padEnd(8)} -> ${file}`);
+    if (shotCounts) log("SUCCESS", `📸 Screenshots (${shotCounts.elements} element, ${shotCounts.pages} annotated page) -> ${shotDir}`);
+    const contractFiles = contractReport
+      ? writeContractReport(contractReport, path.join(outputDir, `contract_${ts}.json`), path.join(outputDir, `contract_missing_testids_${ts}.txt`))
+      : [];
+
+    const pomFrameworks = resolvePageObjectFrameworks(pageObjects, framework);
+    let pomDir = null;
+    if (pageObjects && !pomFrameworks.length) {
+      log("WARN", `Page objects not supported for framework "${framework}" — use --pageObjects=${POM_FRAMEWORKS.join(",")}`);
+    } else if (pomFrameworks.length) {
+      pomDir = path.join(outputDir, `page_objects_${ts}`);
+      const pomFiles = writePageObjects(unique, pomFrameworks, pomDir, { javaPackage: pomPackage });
+      log("SUCCESS", `💾 Page objects (${pomFiles.length}) -> ${pomDir}`);
+    }
+    lap("saveMs", saveStarted);
+
+    summary.counts = {
+      captured: result.captured,
+      unique: unique.length,
+      visible: stats.visible,
+      hidden: stats.hidden,
+      dropped: result.entries.length - unique.length,
+      prompts: prompts.length,
+      validation: validationCounts,
+      ...(llmCounts ? { llm: llmCounts } : {}),
+    };
+    summary.files = { locators: jsonFile, prompts: txtFile, report: reportFile, exports: exportFiles, screenshots: shotDir, pageObjects: pomDir, contract: contractFiles };
+    if (contractReport) summary.contract = contractReport.totals;
+    writeSummary();
+    log("INFO", "🧹 Extraction complete.");
+    return summary;
+  } catch (err) {
+    log("ERROR", `Extraction failed: ${err.stack || err.message}`);
+    await extractor.close();
+    summary.failures.push({ policy: phase === "navigation" ? "navigation" : "error", message: err.message.split("\n")[0] });
+    writeSummary();
+    throw err;
   }
 }
 
 // =========================
-// Smart element-match helper (node-side for console payloads)
+// Re-validation (replay a saved locators JSON and report drift)
 // =========================
-function elementMatchesFilterNode(elData, filters) {
-  if (!filters || !filters.length) return true;
-  try {
-    return filters.some(f => {
-      if (f.startsWith(".")) {
-        const cls = elData.class || '';
-        return cls.split(/\s+/).includes(f.slice(1));
+const DRIFT_ATTRIBUTES = ["type", "placeholder", "href", "title", "alt"];
+
+function loadLocatorsFile(file) {
+  if (!file || !fs.existsSync(file)) throw new Error(`Locators file not found: ${file}`);
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(parsed)) throw new Error(`Not a locators JSON array: ${file}`);
+  return parsed;
+}
+
+function dataAttributes(entry) {
+  const out = {};
+  for (const [k, v] of Object.entries(entry.attributes || {})) if (k.startsWith("data-") && v) out[k] = v;
+  return out;
+}
+
+// Compare the tracked identity/label fields of a saved entry with the element found now
+function attributeChanges(before, after) {
+  const changes = [];
+  const norm = (v) => (v == null || v === "" ? null : String(v).trim());
+  for (const field of ["id", "name", "role", "ariaLabel", "text"]) {
+    if (norm(before[field]) !== norm(after[field])) changes.push({ field, before: norm(before[field]), after: norm(after[field]) });
+  }
+  const a = before.attributes || {};
+  const b = after.attributes || {};
+  const keys = new Set([...DRIFT_ATTRIBUTES, ...Object.keys(a).filter(k => k.startsWith("data-")), ...Object.keys(b).filter(k => k.startsWith("data-"))]);
+  for (const key of keys) {
+    if (norm(a[key]) !== norm(b[key])) changes.push({ field: `attributes.${key}`, before: norm(a[key]), after: norm(b[key]) });
+  }
+  return changes;
+}
+
+/**
+ * valid   — saved css/xpath still resolves to the same element with the same attributes
+ * moved   — same element (by id / data-* / name) found under a different path
+ * changed — saved path resolves to an element of the same tag whose attributes differ
+ * missing — nothing resolves
+ */
+function classifyDrift(entry, probe) {
+  const sameTag = (el) => el && el.tag === entry.tag;
+  if (sameTag(probe.byAttributes)) {
+    return {
+      status: "moved",
+      current: { css: probe.byAttributes.css, xpath: probe.byAttributes.xpath },
+      changes: attributeChanges(entry, probe.byAttributes),
+    };
+  }
+  if (sameTag(probe.path)) {
+    const changes = attributeChanges(entry, probe.path);
+    return changes.length ? { status: "changed", changes } : { status: "valid" };
+  }
+  return { status: "missing" };
+}
+
+// Child frame for one frameChain link: the <iframe> its selector singles out, the frame element at
+// its DOM index, then a child frame with the same URL or name
+async function childFrameOf(parent, link) {
+  const frameAt = async (selector, index) => {
+    const handle = await parent.evaluateHandle(({ selector, index }) => {
+      const els = document.querySelectorAll(selector);
+      return (index == null ? (els.length === 1 ? els[0] : null) : els[index]) || null;
+    }, { selector, index }).catch(() => null);
+    try {
+      const el = handle && handle.asElement();
+      return el ? await el.contentFrame() : null;
+    } finally {
+      if (handle) await handle.dispose().catch(() => { });
+    }
+  };
+  const byElement = (link.selector && await frameAt(link.selector, null)) || (link.index != null && await frameAt("iframe, frame", link.index));
+  if (byElement) return byElement;
+  const kids = parent.childFrames();
+  return kids.find(f => link.url && f.url() === link.url) || kids.find(f => link.name && f.name() === link.name) || null;
+}
+
+// Frame a saved entry lives in on the freshly loaded page (its frameChain from the top document down)
+async function resolveEntryFrame(page, entry) {
+  let frame = page.mainFrame();
+  for (const link of entry.frameChain || []) {
+    frame = await childFrameOf(frame, link);
+    if (!frame) return null;
+  }
+  return frame;
+}
+
+// In-page probe: resolve every saved selector/attribute and serialize what it points at now
+// (page or frame: entries inside iframes are probed in the frame resolveEntryFrame() finds)
+async function probeEntries(page, entries) {
+  const probes = entries.map(e => ({
+    tag: e.tag,
+    id: e.id || null,
+    name: e.name || null,
+    css: e.css || null,
+    xpath: e.xpath || null,
+    hosts: e.shadowHosts?.length ? e.shadowHosts : null,
+    data: dataAttributes(e),
+  }));
+  return page.evaluate((probes) => {
+    const serialize = window.__locatorSerialize;
+    const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    // shadow-DOM entries are looked up inside the root their host chain leads to
+    const rootOf = (hosts) => {
+      let root = document;
+      for (const h of hosts || []) {
+        const host = root && root.querySelector(h);
+        root = host ? host.shadowRoot : null;
       }
-      if (f.startsWith("#")) {
-        return elData.id === f.slice(1);
+      return root;
+    };
+    let root = document;
+    const qsa = (sel) => { try { return root ? Array.from(root.querySelectorAll(sel)) : []; } catch { return null; } };
+    const xp = (x) => {
+      try {
+        const r = document.evaluate(x, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const out = [];
+        for (let i = 0; i < r.snapshotLength; i++) out.push(r.snapshotItem(i));
+        return out;
+      } catch { return null; }
+    };
+    return probes.map((p) => {
+      root = rootOf(p.hosts);
+      const byCss = p.css ? qsa(p.css) : null;
+      const byXpath = p.xpath && !p.hosts ? xp(p.xpath) : null;
+      const byId = p.id ? qsa(`[id="${esc(p.id)}"]`) : null;
+      let attrEl = byId && byId.length === 1 ? byId[0] : null;
+      const data = {};
+      for (const [k, v] of Object.entries(p.data)) {
+        const els = qsa(`[${k}="${esc(v)}"]`) || [];
+        data[k] = els.length;
+        if (!attrEl && els.length === 1) attrEl = els[0];
       }
-      if (f.startsWith("[") && f.endsWith("]")) {
-        const inside = f.slice(1, -1);
-        const [attr, val] = inside.split("=");
-        if (val) {
-          return elData.attributes && elData.attributes[attr] === val.replace(/['"]/g, "");
-        }
-        return elData.attributes && attr in elData.attributes;
+      if (!attrEl && p.name) {
+        const els = qsa(`${p.tag}[name="${esc(p.name)}"]`) || [];
+        if (els.length === 1) attrEl = els[0];
       }
-      return elData.tag && elData.tag.toLowerCase() === f.toLowerCase();
+      const pathEl = byCss && byCss.length === 1 ? byCss[0] : byXpath && byXpath.length === 1 ? byXpath[0] : null;
+      return {
+        counts: { css: byCss ? byCss.length : null, xpath: byXpath ? byXpath.length : null, id: byId ? byId.length : null, data },
+        path: pathEl ? serialize(pathEl) : null,
+        byAttributes: attrEl && attrEl !== pathEl ? serialize(attrEl) : null,
+      };
     });
-  } catch (e) {
-    return false;
+  }, probes);
+}
+
+// =========================
+// Self-healing suggestions (similarity search for missing elements)
+// =========================
+const SIMILARITY_WEIGHTS = { tag: 0.15, id: 0.15, name: 0.1, data: 0.2, role: 0.05, ariaLabel: 0.1, text: 0.15, attributes: 0.1, class: 0.05, box: 0.1 };
+// Features that single out one element; tag, role, class and box alone only describe a kind of element
+const IDENTIFYING_FEATURES = ["id", "name", "data", "ariaLabel", "text", "attributes"];
+// Score ceiling for matches without an identifying feature; such weak matches are also never
+// auto-accepted or paired, whatever healThreshold / minSimilarity is set to
+const WEAK_MATCH_CAP = 0.5;
+
+// Sørensen–Dice coefficient over character bigrams
+function textSimilarity(a, b) {
+  const x = String(a || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const y = String(b || "").toLowerCase().replace(/\s+/g, " ").trim();
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < x.length - 1; i++) grams.set(x.slice(i, i + 2), (grams.get(x.slice(i, i + 2)) || 0) + 1);
+  let hits = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const g = y.slice(i, i + 2);
+    if (grams.get(g) > 0) { grams.set(g, grams.get(g) - 1); hits++; }
+  }
+  return (2 * hits) / (x.length + y.length - 2);
+}
+
+function boxSimilarity(a, b) {
+  if (!(a.width > 0 && a.height > 0 && b.width > 0 && b.height > 0)) return 0;
+  const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+  const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+  const position = Math.max(0, 1 - Math.hypot(dx, dy) / 300);
+  const size = (Math.min(a.width, b.width) / Math.max(a.width, b.width)) * (Math.min(a.height, b.height) / Math.max(a.height, b.height));
+  return 0.7 * position + 0.3 * size;
+}
+
+/**
+ * Weighted similarity (0-1) between a saved entry and an element serialized from the current DOM.
+ * Only features present on the saved entry count, so sparse entries are not penalized.
+ * identified: some identifying feature matched (false marks a weak match).
+ */
+function similarityMatch(saved, current) {
+  const parts = [];
+  const add = (feature, sim) => parts.push([feature, SIMILARITY_WEIGHTS[feature], sim]);
+  const eq = (a, b) => (a && b && String(a).trim() === String(b).trim() ? 1 : 0);
+
+  add("tag", saved.tag === current.tag ? 1 : 0);
+  if (saved.id) add("id", eq(saved.id, current.id));
+  if (saved.name) add("name", eq(saved.name, current.name));
+  const savedData = dataAttributes(saved);
+  const dataKeys = Object.keys(savedData);
+  if (dataKeys.length) add("data", dataKeys.filter(k => current.attributes?.[k] === savedData[k]).length / dataKeys.length);
+  const savedRole = implicitRole(saved);
+  if (savedRole) add("role", savedRole === implicitRole(current) ? 1 : 0);
+  if (saved.ariaLabel) add("ariaLabel", textSimilarity(saved.ariaLabel, current.ariaLabel));
+  if (saved.text) add("text", textSimilarity(saved.text, current.text));
+  const attrKeys = DRIFT_ATTRIBUTES.filter(k => saved.attributes?.[k]);
+  if (attrKeys.length) add("attributes", attrKeys.filter(k => current.attributes?.[k] === saved.attributes[k]).length / attrKeys.length);
+  if (typeof saved.class === "string" && saved.class.trim()) {
+    const a = new Set(saved.class.split(/\s+/).filter(Boolean));
+    const b = new Set(typeof current.class === "string" ? current.class.split(/\s+/).filter(Boolean) : []);
+    const union = new Set([...a, ...b]).size;
+    add("class", union ? [...a].filter(c => b.has(c)).length / union : 0);
+  }
+  if (saved.width > 0 && saved.height > 0) add("box", boxSimilarity(saved, current));
+
+  const total = parts.reduce((sum, [, w]) => sum + w, 0);
+  const score = total ? parts.reduce((sum, [, w, sim]) => sum + w * sim, 0) / total : 0;
+  // a bare <div> that only matched on tag/role/box must never be auto-accepted or paired
+  const identified = parts.some(([feature, , sim]) => sim > 0 && IDENTIFYING_FEATURES.includes(feature));
+  return { score: identified ? score : Math.min(score, WEAK_MATCH_CAP), identified };
+}
+
+// Serialize every element of the given tags in the current DOM as replacement candidates
+async function collectHealingPool(page, tags, limitPerTag = 2000) {
+  return page.evaluate(({ tags, limitPerTag }) => {
+    const serialize = window.__locatorSerialize;
+    const all = window.__locatorDeepElements ? window.__locatorDeepElements(document) : Array.from(document.querySelectorAll("*"));
+    const out = [];
+    for (const tag of tags) {
+      const els = all.filter(el => el.tagName.toLowerCase() === tag).slice(0, limitPerTag);
+      for (const el of els) {
+        const s = serialize(el);
+        if (s) out.push(s);
+      }
+    }
+    return out;
+  }, { tags, limitPerTag });
+}
+
+function suggestReplacements(saved, pool, { limit = 3, minConfidence = 0.4 } = {}) {
+  return pool
+    .map(element => {
+      const { score, identified } = similarityMatch(saved, element);
+      return { element, confidence: score, identified };
+    })
+    .filter(s => s.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+async function runRevalidation(file, options = {}) {
+  const {
+    headless = true,
+    outputDir = "output",
+    proxyUrl = null,
+    proxyUser = null,
+    proxyPass = null,
+    navTimeout = 120000,
+    waitUntil = "domcontentloaded",
+    jsonPrefix = "locators",
+    heal = false,
+    healThreshold = 0.8,
+  } = options;
+  const redact = redactionRules(options.redact);
+
+  const entries = loadLocatorsFile(file);
+  log("INFO", `Re-validating ${entries.length} saved locators from ${file}`);
+  ensureDir(outputDir);
+
+  const byPage = new Map();
+  entries.forEach((entry, index) => {
+    const key = entry.pageUrl || options.url;
+    if (!byPage.has(key)) byPage.set(key, []);
+    byPage.get(key).push({ entry, index });
+  });
+
+  const { launchOptions } = getLaunchOptions({ headless, proxyUrl, proxyUser, proxyPass });
+  const browser = await chromium.launch(launchOptions);
+  const results = [];
+  const healed = new Map();
+  try {
+    const { context } = await openSession(browser, options);
+    for (const [pageUrl, items] of byPage) {
+      if (!isValidUrl(pageUrl)) {
+        log("WARN", `Skipping ${items.length} entr${items.length === 1 ? "y" : "ies"} with invalid pageUrl: ${pageUrl}`);
+        for (const { entry, index } of items) results.push({ index, tag: entry.tag, pageUrl, css: entry.css, xpath: entry.xpath, status: "missing", error: "invalid pageUrl" });
+        continue;
+      }
+      const page = await context.newPage();
+      try {
+        await injectIntoAllFrames(page, captureScript());
+        await navigate(page, pageUrl, { waitUntil, navTimeout });
+
+        // one probe (and healing pool) per frame: entries from iframes are checked inside them
+        const byFrame = new Map();
+        for (const item of items) {
+          const key = JSON.stringify((item.entry.frameChain || []).map(f => [f.selector, f.index, f.url, f.name]));
+          if (!byFrame.has(key)) byFrame.set(key, []);
+          byFrame.get(key).push(item);
+        }
+        for (const group of byFrame.values()) {
+          const frame = await resolveEntryFrame(page, group[0].entry);
+          if (!frame) {
+            for (const { entry, index } of group) results.push({ index, tag: entry.tag, pageUrl, css: entry.css, xpath: entry.xpath, status: "missing", error: "frame not found" });
+            continue;
+          }
+          const probes = await probeEntries(frame, group.map(i => i.entry));
+          const frameResults = group.map(({ entry, index }, i) => (
+            { index, tag: entry.tag, pageUrl, css: entry.css, xpath: entry.xpath, counts: probes[i].counts, ...classifyDrift(entry, probes[i]) }
+          ));
+          results.push(...frameResults);
+
+          const missing = frameResults.filter(r => r.status === "missing");
+          if (!heal || !missing.length) continue;
+          const pool = await collectHealingPool(frame, [...new Set(missing.map(r => entries[r.index].tag).filter(Boolean))]);
+          const usedRefs = new Set();
+          for (const r of missing) {
+            const saved = entries[r.index];
+            const suggestions = suggestReplacements(saved, pool);
+            r.suggestions = suggestions.map(({ element, confidence }) => ({
+              confidence: Number(confidence.toFixed(3)),
+              tag: element.tag,
+              id: element.id,
+              text: element.text ? redactText(element.text.slice(0, 80), redact) : "",
+              css: element.css,
+              xpath: element.xpath,
+              locator: generateLocators(element)[0] || null,
+            }));
+            const top = suggestions[0];
+            if (!top || !top.identified || top.confidence < healThreshold || usedRefs.has(top.element.ref)) continue;
+            usedRefs.add(top.element.ref);
+            const replacement = await annotateEntry(frame, sanitizeEntry({
+              ...top.element,
+              pageUrl: page.url(),
+              ...await frameContext(page, frame, saved.tab?.index ?? 1),
+              timestamp: new Date().toISOString(),
+              healedFrom: { source: path.resolve(file), index: r.index, css: saved.css || null, xpath: saved.xpath || null, timestamp: saved.timestamp || null, confidence: Number(top.confidence.toFixed(3)) },
+            }, redact));
+            healed.set(r.index, replacement);
+            r.healed = true;
+          }
+        }
+      } catch (e) {
+        log("WARN", `Re-validation of ${pageUrl} failed: ${e.message}`);
+        for (const { entry, index } of items) results.push({ index, tag: entry.tag, pageUrl, css: entry.css, xpath: entry.xpath, status: "missing", error: e.message.split("\n")[0] });
+      } finally {
+        await page.close().catch(() => { });
+      }
+    }
+  } finally {
+    await browser.close().catch(() => { });
+  }
+
+  results.sort((a, b) => a.index - b.index);
+  const summary = { total: results.length, valid: 0, moved: 0, changed: 0, missing: 0 };
+  for (const r of results) summary[r.status]++;
+  const report = { source: path.resolve(file), checkedAt: new Date().toISOString(), summary, entries: results };
+
+  const ts = getTimestamp();
+  if (healed.size) {
+    summary.healed = healed.size;
+    report.healedFile = path.join(outputDir, `${jsonPrefix || "locators"}_healed_${ts}.json`);
+    atomicWrite(report.healedFile, JSON.stringify(entries.map((e, i) => healed.get(i) || e), null, 2));
+  }
+  const driftFile = path.join(outputDir, `drift_${ts}.json`);
+  atomicWrite(driftFile, JSON.stringify(report, null, 2));
+
+  for (const r of results.filter(r => r.status !== "valid")) {
+    const level = r.status === "missing" ? "ERROR" : "WARN";
+    const detail = r.status === "moved" ? ` -> ${r.current.css}` : r.changes?.length ? ` (${r.changes.map(c => c.field).join(", ")})` : r.error ? ` (${r.error})` : "";
+    log(level, `[${r.status}] #${r.index} <${r.tag}> ${r.css || r.xpath || ""}${detail}`);
+    for (const sg of r.suggestions || []) {
+      log("INFO", `    ↳ ${(sg.confidence * 100).toFixed(0)}% <${sg.tag}> ${sg.locator ? sg.locator.selector : sg.css}${sg === r.suggestions[0] && r.healed ? " (accepted)" : ""}`);
+    }
   }
+  log("INFO", "---------------------------------------------");
+  log("INFO", `📄 Drift Report`);
+  log("INFO", `  • Checked: ${summary.total}`);
+  log("INFO", `  • Valid: ${summary.valid}  Moved: ${summary.moved}  Changed: ${summary.changed}  Missing: ${summary.missing}`);
+  if (heal) log("INFO", `  • Healed (confidence ≥ ${healThreshold}): ${healed.size}`);
+  log("INFO", "---------------------------------------------");
+  log("SUCCESS", `💾 Drift report -> ${driftFile}`);
+  if (report.healedFile) log("SUCCESS", `💾 Healed locators -> ${report.healedFile}`);
+  return report;
 }
 
 // =========================
-// Main extraction + graceful shutdown
+// Snapshot diff between two locators JSON files
 // =========================
-async function runExtractor(options = {}) {
-  const {
-    url,
-    framework = "playwright",
-    customExample = "",
-    tagFilter = null,
-    scanHidden = false,
-    headless = false,
-    outputDir = "output",
-    promptType = "locator",
-    timeout = 0,
-    proxyUrl = null,
-    proxyUser = null,
-    proxyPass = null,
-    useCDP = false,
-    autoExtract = false,
-    jsonPrefix = "locators",
-    promptPrefix = "copilot_prompts",
-  } = options;
+// Identity keys from strongest to weakest; css/xpath are deliberately not used (they change per build)
+function identityKeys(entry) {
+  const attrs = entry.attributes || {};
+  const keys = [];
+  for (const attr of TEST_ID_ATTRIBUTES) if (attrs[attr]) keys.push(`testId:${attr}=${attrs[attr]}`);
+  if (entry.id && !looksGenerated(entry.id)) keys.push(`id:${entry.tag}#${entry.id}`);
+  if (entry.name) keys.push(`name:${entry.tag}[${entry.name}]`);
+  const role = implicitRole(entry);
+  if (entry.ariaLabel) keys.push(`label:${role || entry.tag}:${entry.ariaLabel.trim()}`);
+  const text = (entry.text || "").trim();
+  if (text && text.length <= 80 && !["input", "textarea", "select"].includes(entry.tag)) keys.push(`text:${entry.tag}:${text}`);
+  if (entry.tag === "a" && attrs.href) keys.push(`href:${attrs.href}`);
+  return keys;
+}
 
-  if (!isValidUrl(url)) throw new Error("Invalid or unsafe URL: " + url);
+function diffEntrySummary(entry, index) {
+  const best = entry.candidates?.[0] || generateLocators(entry)[0];
+  return {
+    index,
+    tag: entry.tag,
+    pageUrl: entry.pageUrl || null,
+    id: entry.id || null,
+    text: (entry.text || "").slice(0, 80),
+    locator: best ? { strategy: best.strategy, selector: best.selector, name: best.name } : null,
+  };
+}
 
-  ensureDir(outputDir);
+function entryChanges(before, after) {
+  const changes = attributeChanges(before, after);
+  for (const field of ["css", "xpath", "visible"]) {
+    const a = before[field] ?? null;
+    const b = after[field] ?? null;
+    if (a !== b) changes.push({ field, before: a, after: b });
+  }
+  return changes;
+}
 
-  const proxy = getProxySettingsFrom({ proxyUrl, proxyUser, proxyPass });
-  if (proxy) {
-    const userLabel = proxy.username ? ` user=${proxy.username}` : "";
-    const passLabel = proxy.password ? ` pass=${mask(proxy.password)}` : "";
-    log("INFO", `Using proxy: ${proxy.server}${userLabel}${passLabel}`);
-  } else {
-    log("INFO", "No proxy configured — direct connection mode.");
+/**
+ * Match elements of two snapshots per page: first on unique identity keys (test ids, id, name,
+ * label, text, href), then greedily on similarity for whatever is left.
+ */
+function diffSnapshots(oldEntries, newEntries, { minSimilarity = 0.6 } = {}) {
+  const pairs = [];
+  const usedNew = new Set();
+  const matchedOld = new Set();
+
+  const newByKey = new Map();
+  newEntries.forEach((entry, i) => {
+    for (const key of identityKeys(entry)) {
+      const k = `${pageKey(entry.pageUrl)}|${key}`;
+      if (!newByKey.has(k)) newByKey.set(k, []);
+      newByKey.get(k).push(i);
+    }
+  });
+
+  oldEntries.forEach((entry, i) => {
+    for (const key of identityKeys(entry)) {
+      const hits = (newByKey.get(`${pageKey(entry.pageUrl)}|${key}`) || []).filter(j => !usedNew.has(j));
+      if (hits.length !== 1) continue;
+      pairs.push({ oldIndex: i, newIndex: hits[0], match: key.split(":")[0], confidence: 1 });
+      usedNew.add(hits[0]);
+      matchedOld.add(i);
+      break;
+    }
+  });
+
+  const scored = [];
+  oldEntries.forEach((a, i) => {
+    if (matchedOld.has(i)) return;
+    newEntries.forEach((b, j) => {
+      if (usedNew.has(j) || pageKey(a.pageUrl) !== pageKey(b.pageUrl)) return;
+      const { score: confidence, identified } = similarityMatch(a, b);
+      if (identified && confidence >= minSimilarity) scored.push({ i, j, confidence });
+    });
+  });
+  scored.sort((x, y) => y.confidence - x.confidence);
+  for (const { i, j, confidence } of scored) {
+    if (matchedOld.has(i) || usedNew.has(j)) continue;
+    pairs.push({ oldIndex: i, newIndex: j, match: "similarity", confidence: Number(confidence.toFixed(3)) });
+    matchedOld.add(i);
+    usedNew.add(j);
   }
 
-  const launchOptions = { headless, args: ["--disable-dev-shm-usage"] };
-  if (proxy) launchOptions.proxy = proxy;
+  const changed = [];
+  let unchanged = 0;
+  for (const p of pairs.sort((x, y) => x.oldIndex - y.oldIndex)) {
+    const changes = entryChanges(oldEntries[p.oldIndex], newEntries[p.newIndex]);
+    if (!changes.length) { unchanged++; continue; }
+    changed.push({ ...p, element: diffEntrySummary(newEntries[p.newIndex], p.newIndex), changes });
+  }
+  const removed = oldEntries.map((e, i) => (matchedOld.has(i) ? null : diffEntrySummary(e, i))).filter(Boolean);
+  const added = newEntries.map((e, i) => (usedNew.has(i) ? null : diffEntrySummary(e, i))).filter(Boolean);
 
-  let browser = null;
-  let context = null;
-  let activeCDPClients = [];
+  return {
+    summary: { old: oldEntries.length, new: newEntries.length, added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added,
+    removed,
+    changed,
+  };
+}
 
-  async function stopExtractorCleanup() {
-    try {
-      if (activeCDPClients.length) {
-        log("INFO", `Detaching ${activeCDPClients.length} CDP client(s)...`);
-        for (const c of activeCDPClients) {
-          try { await c.detach(); } catch { /* ignore */ }
+function runDiff(oldFile, newFile, options = {}) {
+  const { outputDir = "output" } = options;
+  if (!oldFile || !newFile) throw new Error("diff requires two locators JSON files: diff <old.json> <new.json>");
+  const result = diffSnapshots(loadLocatorsFile(oldFile), loadLocatorsFile(newFile));
+  const report = { old: path.resolve(oldFile), new: path.resolve(newFile), generatedAt: new Date().toISOString(), ...result };
+
+  const describe = (el) => `<${el.tag}> ${el.locator ? el.locator.name || el.locator.selector : el.id || el.text} (${pageKey(el.pageUrl)})`;
+  const short = (v) => (v == null ? "∅" : JSON.stringify(v).slice(0, 60));
+  for (const el of result.added) log("SUCCESS", `+ ${describe(el)}`);
+  for (const el of result.removed) log("ERROR", `- ${describe(el)}`);
+  for (const c of result.changed) {
+    log("WARN", `~ ${describe(c.element)} [${c.match}]`);
+    for (const ch of c.changes) log("INFO", `    ${ch.field}: ${short(ch.before)} → ${short(ch.after)}`);
+  }
+
+  ensureDir(outputDir);
+  const diffFile = path.join(outputDir, `diff_${getTimestamp()}.json`);
+  atomicWrite(diffFile, JSON.stringify(report, null, 2));
+
+  const { summary } = result;
+  log("INFO", "---------------------------------------------");
+  log("INFO", `📄 Snapshot Diff`);
+  log("INFO", `  • Old: ${summary.old}  New: ${summary.new}`);
+  log("INFO", `  • Added: ${summary.added}  Removed: ${summary.removed}  Changed: ${summary.changed}  Unchanged: ${summary.unchanged}`);
+  log("INFO", "---------------------------------------------");
+  log("SUCCESS", `💾 Diff report -> ${diffFile}`);
+  return report;
+}
+
+// =========================
+// Batch multi-URL extraction (bounded worker pool)
+// =========================
+// Run `worker` over `items` with at most `concurrency` in flight; slot identifies the worker.
+// Workers may push onto `items` while running (crawl); idle runners wait until all work is done.
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  let active = 0;
+  let waiting = [];
+  const wakeAll = () => {
+    const w = waiting;
+    waiting = [];
+    for (const resolve of w) resolve();
+  };
+  const runner = async (slot) => {
+    for (; ;) {
+      if (next < items.length) {
+        const index = next++;
+        active++;
+        try {
+          await worker(items[index], index, slot);
+        } finally {
+          active--;
+          wakeAll();
         }
-        activeCDPClients = [];
-      }
-      if (browser) {
-        try { await browser.close(); log("INFO", "Browser closed."); } catch (e) { log("WARN", `Browser close failed: ${e.message}`); }
+      } else if (active === 0) {
+        wakeAll();
+        return;
+      } else {
+        await new Promise(resolve => waiting.push(resolve));
       }
-    } catch (e) {
-      log("WARN", `Cleanup error: ${e.message}`);
-    } finally {
-      browser = null;
-      context = null;
-      activeCDPClients = [];
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, (_, slot) => runner(slot)));
+}
 
-  // graceful SIGINT
-  process.once("SIGINT", async () => {
-    log("WARN", "SIGINT received — attempting graceful shutdown...");
-    await stopExtractorCleanup();
-    log("INFO", "Shutdown complete.");
-    process.exit(0);
-  });
+function urlSlug(url) {
+  let base = url;
+  try { const u = new URL(url); base = u.host + u.pathname; } catch { }
+  return base.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80) || "page";
+}
 
-  try {
-    browser = await chromium.launch(launchOptions);
-    context = await browser.newContext({ ignoreHTTPSErrors: true });
+// URL list file (one per line, # comments) or sitemap.xml (local path or http(s) URL)
+async function loadUrlSource(source, options = {}) {
+  if (!source) throw new Error("batch requires a URL list file or sitemap.xml");
+  const readSource = async (src) => {
+    if (!isValidUrl(src)) {
+      if (!fs.existsSync(src)) throw new Error(`URL source not found: ${src}`);
+      return fs.readFileSync(src, "utf8");
+    }
+    // fetch through the configured proxy like the browser would
+    const proxy = getProxySettingsFrom(options);
+    const api = await request.newContext({ ignoreHTTPSErrors: true, ...(proxy ? { proxy } : {}) });
+    try {
+      const res = await api.get(src, { timeout: parseInt(options.navTimeout || 120000) });
+      if (!res.ok()) throw new Error(`GET ${src} -> ${res.status()}`);
+      return await res.text();
+    } finally {
+      await api.dispose();
+    }
+  };
 
-    // Page popup/new-tab handler
-    context.on("page", async (newPage) => {
-      try {
-        log("INFO", `New page opened: ${newPage.url() || "about:blank"}`);
-        if (useCDP) {
-          try {
-            const popupClient = await context.newCDPSession(newPage);
-            activeCDPClients.push(popupClient);
-            log("INFO", "CDP attached to popup/new page.");
-          } catch (err) {
-            log("WARN", `CDP attach for popup failed: ${err.message}`);
-          }
+  const text = await readSource(source);
+  let urls;
+  if (/<(urlset|sitemapindex)[\s>]/i.test(text)) {
+    const locs = [...text.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(m => m[1].replace(/&amp;/g, "&"));
+    if (/<sitemapindex[\s>]/i.test(text)) {
+      urls = [];
+      for (const child of locs) {
+        try {
+          const childText = await readSource(child);
+          urls.push(...[...childText.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(m => m[1].replace(/&amp;/g, "&")));
+        } catch (e) {
+          log("WARN", `Skipping child sitemap ${child}: ${e.message}`);
         }
-        await injectIntoAllFrames(newPage, CAPTURE_SCRIPT);
-      } catch (e) {
-        log("WARN", `Failed to attach to new page: ${e.message}`);
       }
-    });
+    } else {
+      urls = locs;
+    }
+  } else {
+    urls = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  }
 
-    const page = await context.newPage();
+  const valid = [...new Set(urls)].filter(u => {
+    if (isValidUrl(u)) return true;
+    log("WARN", `Skipping invalid or unsafe URL: ${u}`);
+    return false;
+  });
+  return valid;
+}
 
-    let client = null;
+// Open one URL in the given context and run the auto scans on it
+async function extractUrl(context, url, options = {}) {
+  const { tagFilter = null, scanHidden = false, useCDP = false, navTimeout = 120000, waitUntil = "domcontentloaded" } = options;
+  const page = await context.newPage();
+  let cdp = null;
+  try {
     if (useCDP) {
       try {
-        client = await context.newCDPSession(page);
-        activeCDPClients.push(client);
-        log("INFO", "CDP session connected (advanced metadata ready).");
+        cdp = await openCdpCollector(context, page);
       } catch (err) {
-        log("WARN", `CDP initialization failed: ${err.message}`);
+        log("WARN", `CDP initialization failed for ${url}: ${err.message}`);
       }
     }
+    await injectIntoAllFrames(page, captureScript());
+    await navigate(page, url, { waitUntil, navTimeout });
 
-    // Inject capture script into frames and page
-    await injectIntoAllFrames(page, CAPTURE_SCRIPT);
-
-    // Navigate
-    log("INFO", `Launching browser for ${url} (headless=${headless})`);
-    // 🕒 Informational log for navigation parameters
-    log(
-      "INFO",
-      `Navigating to ${url} with timeout=${getArg("--navTimeout", fileConfig.navTimeout || 120000)
-      }ms and waitUntil=${getArg("--waitUntil", fileConfig.waitUntil || "domcontentloaded")
-      }`
-    );
-
-    await page.goto(url, {
-      waitUntil: getArg("--waitUntil", fileConfig.waitUntil || "domcontentloaded"),
-      timeout: parseInt(getArg("--navTimeout", fileConfig.navTimeout || 120000))
+    const shots = options.screenshots ? { elements: new Map(), markers: new Map(), pages: new Map() } : null;
+    let links = [];
+    const entries = await scanFrames(page, scanHidden ? [walkVisibleElements, walkHiddenElements] : [walkVisibleElements], tagFilter, {
+      cdp,
+      redact: redactionRules(options.redact),
+      // main document only: screenshots need the registry refs, links the unredacted hrefs
+      // (iframe hrefs are relative to their own frame)
+      beforeEnrich: async (frame, list) => {
+        if (frame !== page.mainFrame()) return;
+        if (options.collectLinks) links = list.filter(e => e.tag === "a" && e.attributes?.href).map(e => e.attributes.href);
+        if (shots) await captureScreenshots(page, deduplicate(list), shots, { id: 1, refs: new Map() });
+      },
     });
-    // small wait to stabilize
-    await page.waitForTimeout(1000);
-    log("INFO", `✅ Page loaded: ${page.url()}`);
 
-    if (fileConfig.autoExtract) {
-      log("INFO", "---------------------------------------------");
-      log("INFO", "You may now manually navigate to the desired page within the browser.");
-      log("INFO", "Once you’ve reached the target screen, press ENTER here to start extraction.");
-      log("INFO", "---------------------------------------------");
-      await new Promise((resolve) => {
-        process.stdin.once("data", () => {
-          log("INFO", "✅ User confirmed. Starting extraction...");
-          resolve();
-        });
+    if (options.collectLinks) {
+      // the walker only reports elements matching tagFilter; read anchors directly when they are filtered out
+      if (Array.isArray(tagFilter) && tagFilter.length && !tagFilter.some(f => f.toLowerCase() === "a")) {
+        links = await page.$$eval("a[href]", (as) => as.map(a => a.getAttribute("href")));
+      }
+    }
+    return { finalUrl: page.url(), entries, links, shots };
+  } finally {
+    if (cdp) await cdp.detach();
+    await page.close().catch(() => { });
+  }
+}
+
+// Retries per URL: a NaN or negative count would skip the URL without a single attempt
+function retryCount(value) {
+  return Number.isFinite(value) ? Math.max(0, value) : 2;
+}
+
+// Extract one URL with retries and write its locators + prompts; returns the index record
+async function extractAndSave(context, url, stem, dir, options = {}, label = url) {
+  const {
+    framework = "playwright",
+    customExample = "",
+    promptType = "locator",
+    jsonPrefix = "locators",
+    promptPrefix = "copilot_prompts",
+    formats = ["json"],
+  } = options;
+  const retries = retryCount(options.retries);
+  const safeFramework = typeof framework === "string" ? framework.replace(/[^a-z0-9_-]/gi, "") : "playwright";
+  const record = { url, status: "failed", attempts: 0 };
+  const started = Date.now();
+  let entries = [];
+  let links = [];
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    record.attempts = attempt;
+    try {
+      const result = await extractUrl(context, url, options);
+      entries = deduplicate(result.entries);
+      links = result.links || [];
+      const jsonFile = path.join(dir, `${jsonPrefix || "locators"}_${stem}.json`);
+      const txtFile = path.join(dir, `${promptPrefix || "copilot_prompts"}_${safeFramework}_${stem}.txt`);
+      const shotDir = result.shots ? path.join(dir, `screenshots_${stem}`) : null;
+      if (shotDir) writeScreenshots(entries, result.shots, shotDir, dir);
+      atomicWrite(jsonFile, JSON.stringify(entries, null, 2));
+      atomicWrite(txtFile, entries.map(e => buildPrompt(e, framework, promptType, framework, customExample)).join("\n\n========================\n\n"));
+      writeExports(entries, formats, path.join(dir, `${jsonPrefix || "locators"}_${stem}`));
+      Object.assign(record, {
+        status: "ok",
+        finalUrl: result.finalUrl,
+        elements: entries.length,
+        visible: entries.filter(e => e.visible).length,
+        hidden: entries.filter(e => !e.visible).length,
+        file: path.relative(dir, jsonFile),
+        promptFile: path.relative(dir, txtFile),
       });
+      if (shotDir) record.screenshots = path.relative(dir, shotDir);
+      delete record.error;
+      log("SUCCESS", `[${label}] ${url} -> ${entries.length} elements`);
+      break;
+    } catch (e) {
+      record.error = e.message.split("\n")[0];
+      log("WARN", `[${label}] ${url} attempt ${attempt} failed: ${record.error}`);
+      if (attempt <= retries) await new Promise(r => setTimeout(r, 1000 * attempt));
     }
+  }
+  record.durationMs = Date.now() - started;
+  return { record, entries, links };
+}
 
-    const allLocators = [];
-    const allPrompts = [];
-    let lastActivity = Date.now();
-    const resetTimer = () => (lastActivity = Date.now());
+async function runBatch(source, options = {}) {
+  const { framework = "playwright", outputDir = "output", concurrency = 4 } = options;
+  const retries = retryCount(options.retries);
 
-    // Console handler (captures ELEMENT_CAPTURED from injected script)
-    page.on("console", async (msg) => {
-      try {
-        const txt = msg.text();
-        if (!txt || !txt.startsWith("ELEMENT_CAPTURED:")) return;
-        const raw = txt.slice("ELEMENT_CAPTURED:".length);
-        const payload = JSON.parse(raw);
-        // Smart tag/attribute filter
-        if (tagFilter && Array.isArray(tagFilter)) {
-          if (!elementMatchesFilterNode(payload, tagFilter)) return;
-        }
-        payload.pageUrl = page.url();
-        payload.timestamp = new Date().toISOString();
-
-        // attach advanced metadata if requested
-        if (useCDP && client && payload.css) {
-          try {
-            const meta = await getAdvancedMetadata(page, client, payload.css);
-            if (meta) payload.advanced = meta;
-          } catch (e) {
-            // ignore meta errors
-          }
-        }
+  const urls = await loadUrlSource(source, options);
+  const contractSpec = options.contract ? loadContract(options.contract) : null;
+  if (!urls.length) throw new Error(`No valid URLs found in ${source}`);
 
-        allLocators.push(payload);
-        allPrompts.push(buildPrompt(payload, framework, promptType, framework, customExample));
-        log("SUCCESS", `Captured <${payload.tag}> ${payload.id ? `#${payload.id}` : ""} ${payload.css ? `(${payload.css})` : ""}`);
-        resetTimer();
-      } catch (e) {
-        log("WARN", `Failed to process console message: ${e.message}`);
-      }
+  const ts = getTimestamp();
+  const batchDir = path.join(outputDir, `batch_${ts}`);
+  ensureDir(batchDir);
+  log("INFO", `📚 Batch extraction of ${urls.length} URL(s) with ${concurrency} context(s), ${retries} retr${retries === 1 ? "y" : "ies"} each`);
+
+  const { launchOptions } = getLaunchOptions(options);
+  const browser = await chromium.launch(launchOptions);
+  const contexts = [];
+  const pages = [];
+  const pageEntries = [];
+  const startedAt = new Date().toISOString();
+
+  try {
+    const storageState = await sharedStorageState(browser, options);
+    await runPool(urls, concurrency, async (url, index, slot) => {
+      if (!contexts[slot]) contexts[slot] = (await openSession(browser, { ...options, loginScript: null }, storageState || null)).context;
+      const stem = `${String(index + 1).padStart(3, "0")}_${urlSlug(url)}`;
+      const { record, entries } = await extractAndSave(contexts[slot], url, stem, batchDir, options, `${index + 1}/${urls.length}`);
+      pages[index] = record;
+      pageEntries[index] = entries;
     });
+  } finally {
+    for (const ctx of contexts) if (ctx) await ctx.close().catch(() => { });
+    await browser.close().catch(() => { });
+  }
 
-    // Auto Extract (Smart DOM Walker) - if requested
-    if (autoExtract) {
-      try {
-        log("INFO", "🤖 Auto Extract All (Smart DOM Walker) starting...");
-        const results = await page.evaluate((filtersCsv) => {
-          // reuse __locatorScanAll if available
-          try {
-            if (typeof window.__locatorScanAll === "function") return window.__locatorScanAll(filtersCsv || null);
-          } catch { }
-          // fallback: simple walker
-          const allowed = filtersCsv ? filtersCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean) : null;
-          function elementMatchesFilter(el, filters) {
-            if (!filters || !filters.length) return true;
-            return filters.some(f => {
-              if (f.startsWith(".")) return el.classList.contains(f.slice(1));
-              if (f.startsWith("#")) return el.id === f.slice(1);
-              if (f.startsWith("[") && f.endsWith("]")) {
-                const inside = f.slice(1, -1);
-                const [attr, val] = inside.split("=");
-                if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
-                return el.hasAttribute(attr);
-              }
-              return el.tagName.toLowerCase() === f.toLowerCase();
-            });
-          }
-          const out = [];
-          const elems = Array.from(document.querySelectorAll("*"));
-          for (const el of elems) {
-            try {
-              if (!elementMatchesFilter(el, allowed)) continue;
-              const rect = el.getBoundingClientRect();
-              const style = window.getComputedStyle(el);
-              if (!(rect.width > 0 && rect.height > 0 && style.visibility !== "hidden" && style.display !== "none" && style.opacity !== "0")) continue;
-              const attrs = {};
-              for (const a of el.attributes) attrs[a.name] = a.value;
-              out.push({
-                tag: el.tagName.toLowerCase(),
-                id: el.id || null,
-                name: el.getAttribute && el.getAttribute('name') || null,
-                class: el.className || null,
-                text: (el.innerText || "").trim().slice(0, 300),
-                css: (function () { try { /* cheap fallback */ return el.tagName.toLowerCase(); } catch { return null; } })(),
-                xpath: null,
-                attributes: attrs,
-                dataset: Object.assign({}, el.dataset),
-                visible: true,
-                x: rect.x,
-                y: rect.y
-              });
-            } catch { }
-          }
-          return out;
-        }, tagFilter ? tagFilter.join(",") : null);
-
-        if (Array.isArray(results) && results.length) {
-          for (const r of results) {
-            r.pageUrl = page.url();
-            r.timestamp = new Date().toISOString();
-            // advanced metadata per element if requested and possible
-            if (useCDP && client && r.css) {
-              try {
-                const meta = await getAdvancedMetadata(page, client, r.css);
-                if (meta) r.advanced = meta;
-              } catch { }
-            }
-            allLocators.push(r);
-            allPrompts.push(buildPrompt(r, framework, promptType, framework, customExample));
-          }
-          log("SUCCESS", `Auto-extracted ${results.length} elements from ${page.url()}`);
-        } else {
-          log("WARN", "Auto-extract found 0 elements.");
-        }
-      } catch (e) {
-        log("WARN", `Auto extract failed: ${e.message}`);
-      }
-    }
+  const ok = pages.filter(p => p.status === "ok");
+  const index = {
+    source,
+    framework,
+    concurrency,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    totals: {
+      pages: pages.length,
+      ok: ok.length,
+      failed: pages.length - ok.length,
+      elements: ok.reduce((sum, p) => sum + p.elements, 0),
+    },
+    pages,
+  };
+  const contractReport = contractSpec ? checkContract(contractSpec, pageEntries.flat()) : null;
+  if (contractReport) index.contract = { passed: contractReport.passed, ...contractReport.totals };
+  const indexFile = path.join(batchDir, "index.json");
+  atomicWrite(indexFile, JSON.stringify(index, null, 2));
+  const reportFile = path.join(batchDir, "report.html");
+  atomicWrite(reportFile, renderHtmlReport(pageEntries.flat(), { title: `Batch extraction report — ${source}`, framework, generatedAt: index.finishedAt, baseDir: batchDir }));
 
-    // scanHidden option: collect hidden elements too using dashboard logic
-    if (scanHidden) {
-      try {
-        log("INFO", "🔍 Running hidden-element scan...");
-        const results = await page.evaluate((filtersCsv) => {
-          const filters = filtersCsv ? filtersCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean) : null;
-          function matchesFilter(el) {
-            if (!filters || !filters.length) return true;
-            return filters.some(f => {
-              if (f.startsWith(".")) return el.classList.contains(f.slice(1));
-              if (f.startsWith("#")) return el.id === f.slice(1);
-              if (f.startsWith("[") && f.endsWith("]")) {
-                const inside = f.slice(1, -1);
-                const [attr, val] = inside.split("=");
-                if (val) return el.getAttribute(attr) === val.replace(/['"]/g, "");
-                return el.hasAttribute(attr);
-              }
-              return el.tagName.toLowerCase() === f.toLowerCase();
-            });
-          }
-          const all = Array.from(document.querySelectorAll("*"));
-          const out = [];
-          for (const el of all) {
-            try {
-              if (!matchesFilter(el)) continue;
-              const rect = el.getBoundingClientRect();
-              const style = window.getComputedStyle(el);
-              const visible = !(rect.width === 0 && rect.height === 0) && style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
-              if (visible) continue; // skip visible - only hidden scan
-              const attrs = {};
-              for (const a of el.attributes) attrs[a.name] = a.value;
-              out.push({
-                tag: el.tagName.toLowerCase(),
-                id: el.id || null,
-                name: el.getAttribute && el.getAttribute('name') || null,
-                class: el.className || null,
-                text: (el.innerText || "").trim().slice(0, 300),
-                attributes: attrs,
-                dataset: Object.assign({}, el.dataset),
-                visible: false
-              });
-            } catch { }
-          }
-          return out;
-        }, tagFilter ? tagFilter.join(",") : null);
-
-        if (Array.isArray(results) && results.length) {
-          for (const r of results) {
-            r.pageUrl = page.url();
-            r.timestamp = new Date().toISOString();
-            if (useCDP && client && r.css) {
-              try { const meta = await getAdvancedMetadata(page, client, r.css); if (meta) r.advanced = meta; } catch { }
-            }
-            allLocators.push(r);
-            allPrompts.push(buildPrompt(r, framework, promptType, framework, customExample));
-          }
-          log("INFO", `Hidden-scan collected ${results.length} elements.`);
-        } else {
-          log("INFO", "Hidden-scan found 0 elements.");
-        }
-      } catch (e) {
-        log("WARN", `Hidden scan failed: ${e.message}`);
-      }
-    }
+  log("INFO", "---------------------------------------------");
+  log("INFO", `📄 Batch Summary`);
+  log("INFO", `  • Pages: ${index.totals.pages}  OK: ${index.totals.ok}  Failed: ${index.totals.failed}`);
+  log("INFO", `  • Elements saved: ${index.totals.elements}`);
+  log("INFO", "---------------------------------------------");
+  log("SUCCESS", `💾 Batch index -> ${indexFile}`);
+  log("SUCCESS", `💾 Report      -> ${reportFile}`);
+  if (contractReport) writeContractReport(contractReport, path.join(batchDir, "contract.json"), path.join(batchDir, "contract_missing_testids.txt"));
+  return index;
+}
 
-    // auto-timeout watcher for inactivity
-    if (timeout > 0) {
-      const interval = setInterval(() => {
-        try {
-          if (Date.now() - lastActivity > timeout * 1000) {
-            log("WARN", `Timeout reached (${timeout}s inactivity) — auto-stopping.`);
-            // simulate Enter
-            process.stdin.emit("data");
-            clearInterval(interval);
-          }
-        } catch { }
-      }, 2000);
-    }
+// =========================
+// Same-origin crawler (discovers pages from the walker's <a> elements)
+// =========================
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|msclkid|mc_[a-z]+|_ga)$/i;
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|png|jpe?g|gif|svg|webp|ico|mp4|mp3|webm|avi|mov|docx?|xlsx?|pptx?|csv|exe|dmg|msi|apk|woff2?|ttf|css|js|json|xml)$/i;
 
-    // Now wait for manual stop (Enter from user) if not auto-extracted-only
-    // If autoExtract was used, still allow manual Ctrl+click captures until user presses Enter.
-    await new Promise((resolve) => process.stdin.once("data", resolve));
+// Resolve + normalize a link: http(s) only, no hash, no tracking params, sorted query
+function normalizeUrl(href, base) {
+  let u;
+  try { u = new URL(href, base); } catch { return null; }
+  if (!["http:", "https:"].includes(u.protocol)) return null;
+  u.hash = "";
+  for (const key of [...u.searchParams.keys()]) if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+  u.searchParams.sort();
+  return u.toString();
+}
 
-    // Collate results and save
-    const unique = deduplicate(allLocators);
-    const ts = getTimestamp();
-    const safeFramework = typeof framework === "string" ? framework.replace(/[^a-z0-9_-]/gi, "") : "playwright";
+// De-duplication key: normalized URL without trailing slash
+function crawlKey(url) {
+  return url.replace(/\/+(\?|$)/, "$1");
+}
 
-    const jsonFile = path.join(outputDir, `${jsonPrefix || "locators"}_${ts}.json`);
-    const txtFile = path.join(outputDir, `${promptPrefix || "copilot_prompts"}_${safeFramework}_${ts}.txt`);
+function toPatternList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map(p => p.trim()).filter(Boolean).map(p => new RegExp(p));
+}
 
-    atomicWrite(jsonFile, JSON.stringify(unique, null, 2));
-    atomicWrite(txtFile, allPrompts.join("\n\n========================\n\n"));
+function inCrawlScope(url, scope) {
+  let u;
+  try { u = new URL(url); } catch { return false; }
+  if (!scope.hosts.includes(u.host.toLowerCase())) return false;
+  if (scope.pathPrefix && !u.pathname.startsWith(scope.pathPrefix)) return false;
+  if (NON_HTML_EXTENSIONS.test(u.pathname)) return false;
+  if (scope.include.length && !scope.include.some(re => re.test(url))) return false;
+  return !scope.exclude.some(re => re.test(url));
+}
 
-    // Visible vs hidden summary
-    const visibleCount = unique.filter(el => el.visible).length;
-    const hiddenCount = unique.length - visibleCount;
+async function runCrawl(startUrl, options = {}) {
+  const {
+    framework = "playwright",
+    outputDir = "output",
+    concurrency = 4,
+    maxPages = 50,
+    allowedHosts = null,
+    pathPrefix = "",
+    include = null,
+    exclude = null,
+  } = options;
+  // NaN would never reach "depth >= maxDepth" and follow links without a depth limit
+  const maxDepth = Number.isFinite(options.maxDepth) ? Math.max(0, options.maxDepth) : 2;
 
-    log("INFO", "---------------------------------------------");
-    log("INFO", `📄 Extraction Summary`);
-    log("INFO", `  • Framework: ${framework}`);
-    if (proxy) log("INFO", `  • Proxy: ${proxy.server}`);
-    log("INFO", `  • Total elements captured: ${allLocators.length}`);
-    log("INFO", `  • Unique locators saved: ${unique.length}`);
-    log("INFO", `  • Visible: ${visibleCount}  Hidden: ${hiddenCount}`);
-    log("INFO", `  • Prompts generated: ${allPrompts.length}`);
-    log("INFO", "---------------------------------------------");
-    log("SUCCESS", `💾 Locators -> ${jsonFile}`);
-    log("SUCCESS", `💾 Prompts  -> ${txtFile}`);
+  if (!isValidUrl(startUrl)) throw new Error("Invalid or unsafe URL: " + startUrl);
+  const contractSpec = options.contract ? loadContract(options.contract) : null;
+  const start = normalizeUrl(startUrl);
+  const hostList = Array.isArray(allowedHosts) ? allowedHosts : String(allowedHosts || "").split(",");
+  const scope = {
+    hosts: hostList.map(h => h.trim().toLowerCase()).filter(Boolean),
+    pathPrefix: pathPrefix || "",
+    include: toPatternList(include),
+    exclude: toPatternList(exclude),
+  };
+  if (!scope.hosts.length) scope.hosts = [new URL(start).host.toLowerCase()];
 
-    // cleanup CDP and browser
-    await stopExtractorCleanup();
-    log("INFO", "🧹 Extraction complete.");
-  } catch (err) {
-    log("ERROR", `Extraction failed: ${err.stack || err.message}`);
-    try {
-      if (context) await context.close();
-      if (browser) await browser.close();
-    } catch { }
-    throw err;
+  const ts = getTimestamp();
+  const crawlDir = path.join(outputDir, `crawl_${ts}`);
+  ensureDir(crawlDir);
+  log("INFO", `🕸️ Crawling ${start} (depth ≤ ${maxDepth}, pages ≤ ${maxPages}, hosts: ${scope.hosts.join(", ")}${scope.pathPrefix ? `, path prefix: ${scope.pathPrefix}` : ""})`);
+
+  const queue = [{ url: start, depth: 0, from: null }];
+  const seen = new Set([crawlKey(start)]);
+  const nodes = [];
+  const edges = new Map();
+  const pageEntries = [];
+
+  const { launchOptions } = getLaunchOptions(options);
+  const browser = await chromium.launch(launchOptions);
+  const contexts = [];
+  const startedAt = new Date().toISOString();
+
+  try {
+    const storageState = await sharedStorageState(browser, options);
+    await runPool(queue, concurrency, async (item, index, slot) => {
+      if (!contexts[slot]) contexts[slot] = (await openSession(browser, { ...options, loginScript: null }, storageState || null)).context;
+      const stem = `${String(index + 1).padStart(3, "0")}_${urlSlug(item.url)}`;
+      const { record, entries, links } = await extractAndSave(contexts[slot], item.url, stem, crawlDir, { ...options, collectLinks: true }, `${index + 1} d${item.depth}`);
+      nodes[index] = { ...record, depth: item.depth, from: item.from };
+      pageEntries[index] = entries;
+      if (record.status !== "ok") return;
+
+      const base = record.finalUrl || item.url;
+      for (const link of new Set(links.map(href => normalizeUrl(href, base)).filter(Boolean))) {
+        if (!inCrawlScope(link, scope)) continue;
+        edges.set(`${item.url} ${link}`, { from: item.url, to: link });
+        if (item.depth >= maxDepth || seen.has(crawlKey(link)) || seen.size >= maxPages) continue;
+        seen.add(crawlKey(link));
+        queue.push({ url: link, depth: item.depth + 1, from: item.url });
+      }
+    });
+  } finally {
+    for (const ctx of contexts) if (ctx) await ctx.close().catch(() => { });
+    await browser.close().catch(() => { });
   }
+
+  const ok = nodes.filter(n => n.status === "ok");
+  const graph = {
+    start,
+    scope: { hosts: scope.hosts, pathPrefix: scope.pathPrefix, include: scope.include.map(String), exclude: scope.exclude.map(String), maxDepth, maxPages },
+    framework,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    totals: {
+      pages: nodes.length,
+      ok: ok.length,
+      failed: nodes.length - ok.length,
+      elements: ok.reduce((sum, n) => sum + n.elements, 0),
+      edges: edges.size,
+    },
+    nodes,
+    edges: [...edges.values()],
+  };
+  const contractReport = contractSpec ? checkContract(contractSpec, pageEntries.flat()) : null;
+  if (contractReport) graph.contract = { passed: contractReport.passed, ...contractReport.totals };
+  const graphFile = path.join(crawlDir, "crawl_graph.json");
+  atomicWrite(graphFile, JSON.stringify(graph, null, 2));
+  const reportFile = path.join(crawlDir, "report.html");
+  atomicWrite(reportFile, renderHtmlReport(pageEntries.flat(), { title: `Crawl report — ${start}`, framework, generatedAt: graph.finishedAt, baseDir: crawlDir }));
+
+  log("INFO", "---------------------------------------------");
+  log("INFO", `📄 Crawl Summary`);
+  log("INFO", `  • Pages: ${graph.totals.pages}  OK: ${graph.totals.ok}  Failed: ${graph.totals.failed}  Links: ${graph.totals.edges}`);
+  log("INFO", `  • Elements saved: ${graph.totals.elements}`);
+  log("INFO", "---------------------------------------------");
+  log("SUCCESS", `💾 Crawl graph -> ${graphFile}`);
+  log("SUCCESS", `💾 Report      -> ${reportFile}`);
+  if (contractReport) writeContractReport(contractReport, path.join(crawlDir, "contract.json"), path.join(crawlDir, "contract_missing_testids.txt"));
+  return graph;
 }
 
 // =========================
-// CLI parsing and run
+// Programmatic exports (importing the module never starts the CLI)
 // =========================
-const args = process.argv.slice(2);
-const fileConfig = loadConfig();
+export {
+  createExtractor,
+  runExtractor,
+  runRevalidation,
+  runDiff,
+  runBatch,
+  runCrawl,
+  generateLocators,
+  buildPrompt,
+  deduplicate,
+  extractionStats,
+  sanitizeEntry,
+  redactionRules,
+  evaluatePolicies,
+  loadContract,
+  checkContract,
+  writeScreenshots,
+  writeExports,
+  writePageObjects,
+  renderHtmlReport,
+};
 
-function getArg(flag, fallback) {
-  const val = args.find(a => a.startsWith(`${flag}=`));
-  return val ? val.split("=")[1] : fallback;
+// =========================
+// CLI parsing and run
+// =========================
+// true when this file is the script node was started with (also through an npm bin symlink or
+// without its extension, as in `node locator-extractor --help`)
+function isCliEntry() {
+  const script = process.argv[1];
+  if (!script) return false;
+  const self = fs.realpathSync(fileURLToPath(import.meta.url));
+  return [script, `${script}.js`].some((candidate) => {
+    try {
+      return fs.realpathSync(candidate) === self;
+    } catch {
+      return false;
+    }
+  });
 }
 
-if (args.includes("--help") || args.includes("-h")) {
-  console.log(`
+function runCli() {
+  const args = process.argv.slice(2);
+  const fileConfig = loadConfig();
+
+  const COMMANDS = ["revalidate", "diff", "batch", "crawl"];
+  const command = COMMANDS.includes(args[0]) ? args[0] : "extract";
+  const positional = args.filter(a => !a.startsWith("-")).slice(command === "extract" ? 0 : 1);
+
+  function getArg(flag, fallback) {
+    const val = args.find(a => a.startsWith(`${flag}=`));
+    // everything after the first "=": URLs with query strings and regexes may contain more
+    return val ? val.slice(flag.length + 1) : fallback;
+  }
+
+  // numeric option where 0 is meaningful: only unparsable values fall back to the default
+  function numberArg(flag, configValue, fallback, parse = parseInt) {
+    const n = parse(getArg(flag, String(configValue ?? fallback)));
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
 Usage:
   node locator-extractor.js <url> [options]
+  node locator-extractor.js revalidate <locators.json> [options]
+  node locator-extractor.js diff <old.json> <new.json> [--outputDir=<dir>]
+  node locator-extractor.js batch <urls.txt|sitemap.xml> [options]
+  node locator-extractor.js crawl <url> [options]
+
+Commands:
+  (default)                Extract locators from <url>
+  revalidate <file>        Replay a saved locators JSON against its pageUrls and write a drift report
+                           (valid / moved / changed / missing); exits 1 if anything is missing
+  diff <old> <new>         Compare two locators JSON files (added / removed / changed elements)
+  batch <source>           Auto-extract every URL of a list file or sitemap.xml in parallel
+  crawl <url>              Follow in-scope links from <url> and auto-extract every page found
 
 Options:
   --framework=<type>       playwright | selenium | cypress | robot | custom | bdd
@@ -1012,57 +5014,170 @@ Options:
   --proxyUrl=<url>         Proxy URL (overrides env)
   --proxyUser=<user>       Proxy username
   --proxyPass=<pass>       Proxy password
+  --minStability=<0-100>   Warn about entries whose best locator scores below this
+  --stabilityAction=<act>  warn | drop (drop entries below --minStability)
+  --pageObjects[=<list>]   Generate page objects (current framework, or selenium,playwright,cypress,robot | all)
+  --pomPackage=<name>      Java package for generated Selenium page objects (default: pages)
+  --screenshots            Save a crop per element and a numbered full-page overlay per page
+  --format=<list>          Also write csv and/or xlsx next to the JSON (json,csv,xlsx)
+  --llm                    Send each prompt to an OpenAI-compatible endpoint and store the code on the entry
+  --llmUrl=<url>           Chat-completions URL or API base (.../v1); env LLM_URL
+  --llmModel=<name>        Model name sent with each request (default: gpt-4o-mini)
+  --llmKeyEnv=<VAR>        Environment variable holding the API key (default: LLM_API_KEY)
+  --llmConcurrency=<n>     Parallel LLM requests (default: 2)
+  --llmRetries=<n>         Retries on network errors, 429 and 5xx (default: 2)
+  --llmRateLimit=<n>       Maximum requests started per minute (default: unlimited)
+  --llmTimeout=<ms>        Per-request timeout (default: 60000)
+  --storageState=<file>    Load cookies/localStorage from a Playwright storage state file
+  --saveStorageState[=<f>] Save the session's storage state at the end (default: --storageState path)
+  --loginScript=<file.js>  Module whose default export logs in: ({ page, context, credentials, url, log })
+                           credentials come from LOGIN_USER / LOGIN_PASS
+  --redact=<regexes>       Replace matches in text, attributes and URLs with [REDACTED] (comma-separated,
+                           so no "," inside a rule; use the config "redact" array for those)
+  --ci                     Unattended run: headless + autoExtract, never waits for ENTER, saves right after
+                           the scans and writes summary_<timestamp>.json; exits 1 if a policy fails
+  --minElements=<n>        Fail the run when fewer than n elements are saved
+  --requireTestIds=<file>  Fail the run when a listed test id (one per line or JSON array) is not found
+  --summaryFile=<file>     Write the JSON run summary here (default in --ci: <outputDir>/summary_<ts>.json)
+  --watch                  Keep scanning: auto-scroll, follow DOM mutations and client-side route changes
+  --watchIdle=<seconds>    watch: stop after this long without new elements or scroll progress (default: 5, 0: off)
+  --watchScrollEnd         watch: stop once the page is scrolled to the bottom and stops growing
+  --watchMaxElements=<n>   watch: stop after n new elements (default: unlimited)
+  --watchMaxTime=<seconds> watch: stop after this long in any case (default: 120, 0: off)
+  --contract=<file>        Check the extracted elements against a contract of required elements per URL
+                           pattern (extract/batch/crawl); exits 1 if one is missing, duplicated or hidden
+  --heal                   revalidate: suggest replacements for missing elements
+  --healThreshold=<0-1>    revalidate: auto-accept the top suggestion at this confidence (default: 0.8)
+  --concurrency=<n>        batch/crawl: number of parallel browser contexts (default: 4)
+  --retries=<n>            batch/crawl: retries per failed navigation (default: 2)
+  --maxDepth=<n>           crawl: link depth from the start URL (default: 2)
+  --maxPages=<n>           crawl: maximum pages to visit (default: 50)
+  --allowedHosts=<hosts>   crawl: comma-separated hosts to stay in (default: start URL host)
+  --pathPrefix=<path>      crawl: only follow URLs whose path starts with this
+  --include=<regexes>      crawl: only follow URLs matching one of these (comma-separated)
+  --exclude=<regexes>      crawl: never follow URLs matching one of these (comma-separated)
 
 Examples:
   node locator-extractor.js https://example.com --framework=selenium --autoExtract --useCDP
   node locator-extractor.js https://example.com --waitUntil=domcontentloaded --navTimeout=180000
+  node locator-extractor.js https://example.com/feed --watch --watchMaxElements=500 --headless
+  node locator-extractor.js revalidate output/locators_2025-10-24_12-00-51.json --headless
 
 How to End Extraction:
   🖱️ In manual mode: Press ENTER in the terminal to save and stop.
   🤖 In autoExtract mode: Wait for scan to complete, then press ENTER to save and exit.
   ⏳ If --timeout is set: The process will auto-stop after inactivity.
+  🤖 With --ci: The run ends by itself once the scans are saved.
   🛑 To cancel anytime: Press Ctrl + C for graceful shutdown.
-`);
-
-  process.exit(0);
-}
-
-// tagFilter merge from CLI or config.json
-let tagFilterVal = getArg("--tagFilter", fileConfig.tagFilter);
-if (typeof tagFilterVal === "string") tagFilterVal = tagFilterVal.split(",").map(s => s.trim()).filter(Boolean);
-if (!Array.isArray(tagFilterVal)) tagFilterVal = fileConfig.tagFilter || null;
-
-const options = {
-  url: args[0] || fileConfig.url,
-  framework: getArg("--framework", fileConfig.framework || "playwright"),
-  customExample: getArg("--customExample", fileConfig.customExample || ""),
-  tagFilter: tagFilterVal,
-  scanHidden: args.includes("--scanHidden") || fileConfig.scanHidden || false,
-  autoExtract: args.includes("--autoExtract") || fileConfig.autoExtract || false,
-  headless: args.includes("--headless") || fileConfig.headless || false,
-  outputDir: getArg("--outputDir", fileConfig.outputDir || "output"),
-  promptType: getArg("--promptType", fileConfig.promptType || "locator"),
-  timeout: parseInt(getArg("--timeout", String(fileConfig.timeout || 0))) || 0,
-  useCDP: args.includes("--useCDP") || fileConfig.useCDP || false,
-  proxyUrl: getArg("--proxyUrl", fileConfig.proxyUrl || null),
-  proxyUser: getArg("--proxyUser", fileConfig.proxyUser || null),
-  proxyPass: getArg("--proxyPass", fileConfig.proxyPass || null),
-  jsonPrefix: getArg("--jsonPrefix", fileConfig.jsonPrefix || "locators"),
-  promptPrefix: getArg("--promptPrefix", fileConfig.promptPrefix || "copilot_prompts"),
-  navTimeout: parseInt(getArg("--navTimeout", fileConfig.navTimeout || 120000)),
-  waitUntil: getArg("--waitUntil", fileConfig.waitUntil || "domcontentloaded"),
-};
+  `);
 
-if (!options.url) {
-  log("ERROR", "URL is required as first argument or in config.json.");
-  process.exit(1);
-}
+    process.exit(0);
+  }
 
-(async () => {
-  try {
-    await runExtractor(options);
-  } catch (e) {
-    log("ERROR", `Fatal: ${e.message || e}`);
+  // tagFilter merge from CLI or config.json
+  let tagFilterVal = getArg("--tagFilter", fileConfig.tagFilter);
+  if (typeof tagFilterVal === "string") tagFilterVal = tagFilterVal.split(",").map(s => s.trim()).filter(Boolean);
+  if (!Array.isArray(tagFilterVal)) tagFilterVal = fileConfig.tagFilter || null;
+
+  // --ci: unattended run (headless, auto-extract, no stdin), see the policy options below
+  const ci = args.includes("--ci") || Boolean(fileConfig.ci);
+
+  const options = {
+    url: (["extract", "crawl"].includes(command) && positional[0]) || fileConfig.url,
+    framework: getArg("--framework", fileConfig.framework || "playwright"),
+    customExample: getArg("--customExample", fileConfig.customExample || ""),
+    tagFilter: tagFilterVal,
+    scanHidden: args.includes("--scanHidden") || fileConfig.scanHidden || false,
+    autoExtract: args.includes("--autoExtract") || fileConfig.autoExtract || ci,
+    // a config-file autoExtract first waits for ENTER so the user can navigate (headed, unauthenticated runs)
+    waitForStart: Boolean(fileConfig.autoExtract),
+    headless: args.includes("--headless") || fileConfig.headless || ci,
+    outputDir: getArg("--outputDir", fileConfig.outputDir || "output"),
+    promptType: getArg("--promptType", fileConfig.promptType || "locator"),
+    timeout: parseInt(getArg("--timeout", String(fileConfig.timeout || 0))) || 0,
+    useCDP: args.includes("--useCDP") || fileConfig.useCDP || false,
+    proxyUrl: getArg("--proxyUrl", fileConfig.proxyUrl || null),
+    proxyUser: getArg("--proxyUser", fileConfig.proxyUser || null),
+    proxyPass: getArg("--proxyPass", fileConfig.proxyPass || null),
+    jsonPrefix: getArg("--jsonPrefix", fileConfig.jsonPrefix || "locators"),
+    promptPrefix: getArg("--promptPrefix", fileConfig.promptPrefix || "copilot_prompts"),
+    navTimeout: parseInt(getArg("--navTimeout", fileConfig.navTimeout || 120000)),
+    waitUntil: getArg("--waitUntil", fileConfig.waitUntil || "domcontentloaded"),
+    minStability: parseInt(getArg("--minStability", String(fileConfig.minStability || 0))) || 0,
+    stabilityAction: getArg("--stabilityAction", fileConfig.stabilityAction || "warn"),
+    pageObjects: getArg("--pageObjects", args.includes("--pageObjects") || fileConfig.pageObjects || false),
+    pomPackage: getArg("--pomPackage", fileConfig.pomPackage || "pages"),
+    screenshots: args.includes("--screenshots") || fileConfig.screenshots || false,
+    formats: resolveFormats(getArg("--format", fileConfig.format || "json")),
+    llm: args.includes("--llm") || fileConfig.llm || false,
+    llmUrl: getArg("--llmUrl", fileConfig.llmUrl || process.env.LLM_URL || null),
+    llmModel: getArg("--llmModel", fileConfig.llmModel || "gpt-4o-mini"),
+    llmKeyEnv: getArg("--llmKeyEnv", fileConfig.llmKeyEnv || "LLM_API_KEY"),
+    llmConcurrency: parseInt(getArg("--llmConcurrency", String(fileConfig.llmConcurrency || 2))) || 2,
+    llmRetries: numberArg("--llmRetries", fileConfig.llmRetries, 2),
+    llmRateLimit: parseInt(getArg("--llmRateLimit", String(fileConfig.llmRateLimit || 0))) || 0,
+    llmTimeout: parseInt(getArg("--llmTimeout", String(fileConfig.llmTimeout || 60000))) || 60000,
+    storageState: getArg("--storageState", fileConfig.storageState || null),
+    saveStorageState: getArg("--saveStorageState", args.includes("--saveStorageState") || fileConfig.saveStorageState || false),
+    loginScript: getArg("--loginScript", fileConfig.loginScript || null),
+    cookies: fileConfig.cookies || null,
+    headers: fileConfig.headers || null,
+    redact: getArg("--redact", fileConfig.redact || null),
+    heal: args.includes("--heal") || fileConfig.heal || false,
+    healThreshold: parseFloat(getArg("--healThreshold", String(fileConfig.healThreshold || 0.8))) || 0.8,
+    concurrency: parseInt(getArg("--concurrency", String(fileConfig.concurrency || 4))) || 4,
+    retries: Math.max(0, numberArg("--retries", fileConfig.retries, 2)),
+    maxDepth: Math.max(0, numberArg("--maxDepth", fileConfig.maxDepth, 2)),
+    maxPages: parseInt(getArg("--maxPages", String(fileConfig.maxPages || 50))) || 50,
+    allowedHosts: getArg("--allowedHosts", fileConfig.allowedHosts || null),
+    pathPrefix: getArg("--pathPrefix", fileConfig.pathPrefix || ""),
+    include: getArg("--include", fileConfig.include || null),
+    exclude: getArg("--exclude", fileConfig.exclude || null),
+    ci,
+    minElements: parseInt(getArg("--minElements", String(fileConfig.minElements || 0))) || 0,
+    requireTestIds: getArg("--requireTestIds", fileConfig.requireTestIds || null),
+    summaryFile: getArg("--summaryFile", fileConfig.summaryFile || null),
+    contract: getArg("--contract", fileConfig.contract || null),
+    watch: args.includes("--watch") || fileConfig.watch || false,
+    watchIdle: numberArg("--watchIdle", fileConfig.watchIdle, 5, parseFloat),
+    watchScrollEnd: args.includes("--watchScrollEnd") || fileConfig.watchScrollEnd || false,
+    watchMaxElements: parseInt(getArg("--watchMaxElements", String(fileConfig.watchMaxElements || 0))) || 0,
+    watchMaxTime: numberArg("--watchMaxTime", fileConfig.watchMaxTime, 120, parseFloat),
+  };
+
+  if (["extract", "crawl"].includes(command) && !options.url) {
+    log("ERROR", "URL is required as first argument or in config.json.");
     process.exit(1);
   }
-})();
+
+  (async () => {
+    try {
+      if (command === "revalidate") {
+        const report = await runRevalidation(positional[0], options);
+        if (report.summary.missing > 0) process.exitCode = 1;
+        return;
+      }
+      if (command === "diff") {
+        runDiff(positional[0], positional[1], options);
+        return;
+      }
+      if (command === "batch") {
+        const index = await runBatch(positional[0], options);
+        if (index.totals.failed > 0 || index.contract?.passed === false) process.exitCode = 1;
+        return;
+      }
+      if (command === "crawl") {
+        const graph = await runCrawl(options.url, options);
+        if (graph.totals.failed > 0 || graph.contract?.passed === false) process.exitCode = 1;
+        return;
+      }
+      const summary = await runExtractor(options);
+      if (!summary.passed) process.exitCode = 1;
+    } catch (e) {
+      log("ERROR", `Fatal: ${e.message || e}`);
+      process.exit(1);
+    }
+  })();
+}
+
+if (isCliEntry()) runCli();